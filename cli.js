@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
+const fs = require('node:fs');
 const { AixmConverter } = require('./src/aixm-converter');
+const { getAiracCycle } = require('./src/airac');
 const program = require('commander');
 
 program
@@ -8,7 +10,11 @@ program
     .option('-o, --output-filepath <outFilepath>', 'The output filename of the generated GeoJSON file')
     .option(
         '-T, --type <type>',
-        'The type to read from AIXM file. Currently only "airspace" is supported. (default: "airspace")'
+        'The type to read from AIXM file, either "airspace", "navaid", "airport", "designated-point", "obstacle" or "route". (default: "airspace")'
+    )
+    .option(
+        '--service-file <serviceFilepath>',
+        'The path to a "service.yaml" file. Ground services defined in this file are used for airspaces that have no service in the AIXM file.'
     )
     .option('-V, --validate', 'If specified, converter will validate geometries.')
     .option('-F, --fix-geometry', 'If specified, converter will try to fix geometries.')
@@ -16,6 +22,30 @@ program
         '-S, --strict-schema-validation',
         'If specified, converter will strictly validate the created GeoJSON against the underlying schema. If the GeoJSON does not match the JSON schema, the converter will throw an error.'
     )
+    .option(
+        '-E, --effective-date <effectiveDate>',
+        'If specified, converter will convert features as effective at the given ISO 8601 date, e.g. "2023-03-23". If not specified, the latest known permanent state of each feature is converted.'
+    )
+    .option(
+        '-A, --airac <cycle>',
+        'If specified, converter will convert features as effective at the start of the given AIRAC cycle, e.g. "2303". Features whose lifetime does not overlap the AIRAC cycle are skipped. Cannot be combined with "--effective-date".'
+    )
+    .option(
+        '--stream',
+        'If specified, converter will read the AIXM file incrementally and write features to the output file as soon as they are converted. Use this for large AIXM files.'
+    )
+    .option(
+        '-C, --continue-on-error',
+        'If specified, converter will skip features that fail to convert instead of aborting the conversion. Errors of skipped features are logged or written to the diagnostics file.'
+    )
+    .option(
+        '-D, --diagnostics-filepath <diagnosticsFilepath>',
+        'If specified, converter will write the errors of skipped features as JSON to the given file. Requires "--continue-on-error".'
+    )
+    .option(
+        '--report <reportFilepath>',
+        'If specified, converter will write a conversion report as JSON to the given file. The report contains the number of converted features per type and class, skipped features, errors, fixed geometries, schema validation errors and timing.'
+    )
     .parse(process.argv);
 
 (async () => {
@@ -23,15 +53,68 @@ program
     const validateGeometry = program.validate || false;
     const fixGeometry = program.fixGeometry || false;
     const strictSchemaValidation = program.strictSchemaValidation || false;
+    const continueOnError = program.continueOnError || false;
     const converter = new AixmConverter({
         validateGeometries: validateGeometry,
         fixGeometries: fixGeometry,
         strictSchemaValidation,
+        continueOnError,
     });
+    const start = new Date();
+    let error = null;
     try {
-        await converter.convertFromFile(program.inputFilepath, { type });
-        await converter.toGeojsonFile(program.outputFilepath);
+        let effectiveDate = program.effectiveDate == null ? undefined : new Date(program.effectiveDate);
+        let validityWindow;
+        if (program.airac != null) {
+            if (effectiveDate != null) {
+                throw new Error("Options '--airac' and '--effective-date' cannot be combined");
+            }
+            const { start: cycleStart, end: cycleEnd } = getAiracCycle(program.airac);
+            effectiveDate = cycleStart;
+            validityWindow = { start: cycleStart, end: cycleEnd };
+        }
+        if (program.diagnosticsFilepath != null && continueOnError === false) {
+            throw new Error("Option '--diagnostics-filepath' requires '--continue-on-error'");
+        }
+        const config = { type, serviceFilePath: program.serviceFile, effectiveDate, validityWindow };
+        if (program.stream) {
+            await converter.streamToGeojsonFile(program.inputFilepath, program.outputFilepath, config);
+        } else {
+            await converter.convertFromFile(program.inputFilepath, config);
+            await converter.toGeojsonFile(program.outputFilepath);
+        }
+        const diagnostics = converter.getDiagnostics();
+        if (program.diagnosticsFilepath != null) {
+            fs.writeFileSync(program.diagnosticsFilepath, JSON.stringify(diagnostics, null, 2));
+        } else {
+            for (const { code, message, location } of diagnostics) {
+                console.log(`${code}: ${message} at ${location}`);
+            }
+        }
     } catch (e) {
+        error = e;
         console.log(e.message);
     }
+    const end = new Date();
+
+    const report = converter.getReport();
+    if (program.report != null) {
+        const reportJson = {
+            type,
+            inputFilepath: program.inputFilepath,
+            outputFilepath: program.outputFilepath,
+            success: error == null,
+            error: error?.message ?? null,
+            ...report,
+            timing: { start: start.toISOString(), end: end.toISOString(), durationMs: end - start },
+        };
+        fs.writeFileSync(program.report, JSON.stringify(reportJson, null, 2));
+    }
+    // exit with 1 if the conversion failed and with 2 if features are skipped due to errors or the GeoJSON does not
+    // adhere to the schema
+    if (error != null) {
+        process.exitCode = 1;
+    } else if (report.errors.length > 0 || report.schemaErrors.length > 0) {
+        process.exitCode = 2;
+    }
 })();
@@ -37,6 +37,7 @@ module.exports = {
         '/docs/',
         '/secrets/',
         '/schemas/',
+        '/profiles/',
         '/var/',
     ],
 
@@ -0,0 +1,32 @@
+// effective date of the AIRAC cycle 2001 that is used as reference for all other cycles
+const REFERENCE_DATE = Date.UTC(2020, 0, 2);
+// each AIRAC cycle lasts 28 days
+const CYCLE_DURATION = 28 * 24 * 60 * 60 * 1000;
+
+/**
+ * Computes the effective period of an AIRAC cycle, e.g. "2303", without any online lookup. The cycle identifier
+ * consists of the last two digits of the year and the number of the cycle within that year starting at "01".
+ *
+ * @param {string} cycle
+ * @return {{cycle: string, start: Date, end: Date}} The start is the effective date of the cycle, the end is the
+ * effective date of the following cycle.
+ */
+function getAiracCycle(cycle) {
+    const match = /^(\d{2})(\d{2})$/.exec(cycle?.trim() ?? '');
+    if (match == null) {
+        throw new Error(`Invalid AIRAC cycle '${cycle}'`);
+    }
+
+    const year = 2000 + Number.parseInt(match[1], 10);
+    const number = Number.parseInt(match[2], 10);
+    // the first cycle of a year is the first cycle that becomes effective in that year
+    const firstCycleIndex = Math.ceil((Date.UTC(year, 0, 1) - REFERENCE_DATE) / CYCLE_DURATION);
+    const start = REFERENCE_DATE + (firstCycleIndex + number - 1) * CYCLE_DURATION;
+    if (number < 1 || new Date(start).getUTCFullYear() !== year) {
+        throw new Error(`Invalid AIRAC cycle '${cycle}'`);
+    }
+
+    return { cycle: match[0], start: new Date(start), end: new Date(start + CYCLE_DURATION) };
+}
+
+module.exports = { getAiracCycle };
@@ -0,0 +1,142 @@
+const cleanDeep = require('clean-deep');
+
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const AIRPORT_SCHEMA = require('../schemas/airport-geojson-schema.json');
+// AIXM "CodeAirportHeliportType" values
+const AIRPORT_TYPES = ['AD', 'AH', 'HP', 'LS', 'OTHER'];
+const DIMENSION_UNITS = ['M', 'FT'];
+
+/**
+ * Converts AIXM "aixm:AirportHeliport" features to GeoJSON Point features. Runways and runway directions that
+ * reference the airport are added to the airport's properties.
+ */
+class AirportConverter extends BaseConverter {
+    /**
+     * @param {Object} [config] - See "BaseConverter" for available config parameters.
+     */
+    constructor(config) {
+        // airports are indexed as well, runways are matched to the airport that they reference
+        super(config, AIRPORT_SCHEMA, 'aixm:AirportHeliport', [
+            'aixm:AirportHeliport',
+            'aixm:Runway',
+            'aixm:RunwayDirection',
+        ]);
+    }
+
+    /**
+     * Creates a Point feature located at the airport reference point (ARP).
+     *
+     * @param {Object} airportJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(airportJson, options) {
+        const { validityWindow } = options;
+
+        const airport = airportJson['aixm:AirportHeliport'];
+        const properties = this.getTimeSlice(airport);
+        // airport does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return [];
+        }
+        const identifier = airport['gml:identifier']?._text?.trim();
+        const designator = properties['aixm:designator']?._text?.trim();
+        const name = properties['aixm:name']?._text?.trim();
+        const icaoCode = properties['aixm:locationIndicatorICAO']?._text?.trim();
+        const iataCode = properties['aixm:designatorIATA']?._text?.trim();
+        const type = properties['aixm:type']?._text?.trim().toUpperCase();
+        const featureLifetime = properties['aixm:featureLifetime'];
+        const magneticVariation = Number.parseFloat(properties['aixm:magneticVariation']?._text);
+
+        // set identifier for error messages
+        this.ident = `${designator} ${name} (${identifier})`;
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return [];
+        }
+        const activationPeriod = featureLifetime == null ? null : this.createActivationPeriod(featureLifetime);
+        if (type != null && AIRPORT_TYPES.includes(type) === false) {
+            throw new Error(`Unknown airport type '${type}' for airport '${this.ident}'`);
+        }
+
+        const referencePoint = properties['aixm:ARP']?.['aixm:ElevatedPoint'];
+        if (referencePoint == null) {
+            throw new Error(`Missing airport reference point for airport '${this.ident}'`);
+        }
+        const geometry = this.createPointGeometry(referencePoint);
+        // the elevation of the ARP is used, the field elevation is only used as fallback if the ARP has no elevation
+        const elevation = this.createElevation(referencePoint['aixm:elevation'] ?? properties['aixm:fieldElevation']);
+        const runways = this.createRunways(airport);
+
+        const pointFeature = {
+            type: 'Feature',
+            properties: {
+                identifier,
+                designator,
+                icaoCode,
+                iataCode,
+                name,
+                type,
+                elevation,
+                magneticVariation: Number.isNaN(magneticVariation) ? null : magneticVariation,
+                activationPeriod,
+                runways,
+            },
+            geometry,
+        };
+        // IMPORTANT reset internal state for next airport
+        this.reset();
+
+        return [cleanDeep(pointFeature)];
+    }
+
+    /**
+     * Creates the runways of an airport from all "aixm:Runway" features that reference the airport. Each runway
+     * contains its runway directions.
+     *
+     * @param {Object} airport
+     * @return {Object[]}
+     * @private
+     */
+    createRunways(airport) {
+        const runways = [];
+        for (const runway of this.getReferencingFeatures('aixm:Runway', 'aixm:associatedAirportHeliport', airport)) {
+            const timeSlice = this.getTimeSlice(runway);
+            const composition =
+                timeSlice['aixm:surfaceProperties']?.['aixm:SurfaceCharacteristics']?.['aixm:composition'];
+            const directions = this.getReferencingFeatures('aixm:RunwayDirection', 'aixm:usedRunway', runway).map(
+                (direction) => this.createRunwayDirection(this.getTimeSlice(direction))
+            );
+
+            runways.push({
+                designator: timeSlice['aixm:designator']?._text?.trim(),
+                type: timeSlice['aixm:type']?._text?.trim().toUpperCase(),
+                length: this.createValueWithUnit(timeSlice['aixm:nominalLength'], DIMENSION_UNITS, 'runway length'),
+                width: this.createValueWithUnit(timeSlice['aixm:nominalWidth'], DIMENSION_UNITS, 'runway width'),
+                surface: composition?._text?.trim().toUpperCase(),
+                directions: directions.sort((a, b) => (a.designator ?? '').localeCompare(b.designator ?? '')),
+            });
+        }
+
+        return runways.sort((a, b) => (a.designator ?? '').localeCompare(b.designator ?? ''));
+    }
+
+    /**
+     * @param {Object} timeSlice
+     * @return {{designator: string, trueBearing: number, magneticBearing: number}}
+     * @private
+     */
+    createRunwayDirection(timeSlice) {
+        const trueBearing = Number.parseFloat(timeSlice['aixm:trueBearing']?._text);
+        const magneticBearing = Number.parseFloat(timeSlice['aixm:magneticBearing']?._text);
+
+        return {
+            designator: timeSlice['aixm:designator']?._text?.trim(),
+            trueBearing: Number.isNaN(trueBearing) ? null : trueBearing,
+            magneticBearing: Number.isNaN(magneticBearing) ? null : magneticBearing,
+        };
+    }
+}
+
+module.exports = { AirportConverter };
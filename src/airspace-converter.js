@@ -1,8 +1,5 @@
-const checkTypes = require('check-types');
-const convert = require('xml-js');
 const {
     featureCollection: createFeatureCollection,
-    polygon: createPolygon,
     point: createPoint,
     bearing: calcBearing,
     lineString: createLineString,
@@ -11,67 +8,37 @@ const {
     area: getArea,
     envelope,
     distance,
+    buffer,
 } = require('@turf/turf');
 const jsts = require('jsts');
 const cleanDeep = require('clean-deep');
-const Ajv = require('ajv/dist/2020');
-const addFormats = require('ajv-formats');
-const ajvKeywords = require('ajv-keywords');
-
-const DEFAULT_CONFIG = require('./default-config');
-const ALLOWED_TYPES = [
-    'NAS',
-    'FIR',
-    'FIR_P',
-    'UIR',
-    'UIR_P',
-    'CTA',
-    'CTA_P',
-    'OCA_P',
-    'OCA',
-    'UTA',
-    'UTA_P',
-    'TMA',
-    'TMA_P',
-    'CTR',
-    'CTR_P',
-    'OTA',
-    'SECTOR',
-    'SECTOR_C',
-    'TSA',
-    'CBA',
-    'RCA',
-    'RAS',
-    'AWY',
-    'MTR',
-    'P',
-    'R',
-    'D',
-    'ADIZ',
-    'NO_FIR',
-    'PART',
-    'CLASS',
-    'POLITICAL',
-    'D_OTHER',
-    'TRA',
-    'A',
-    'W',
-    'PROTECT',
-    'AMA',
-    'ASR',
-    'ADV',
-    'UADV',
-    'ATZ',
-    'ATZ_P',
-    'HTZ',
-    'NAS_P',
-    'OTHER',
-];
-const ALLOWED_LOCALTYPES = [];
-const ALLOWED_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'NO'];
+
+const { toArray } = require('./xml-utils');
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const { parseServiceFile } = require('./service-file');
+const { loadMappingProfile } = require('./mapping-profile');
+const { ConversionError, ERROR_CODES } = require('./conversion-error');
 const GEOJSON_SCHEMA = require('../schemas/geojson-schema.json');
+const WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+// days of the AIXM "CodeDayType" that are no weekdays
+const SPECIAL_DAYS = ['WORK_DAY', 'BEF_WORK_DAY', 'AFT_WORK_DAY', 'HOL', 'BEF_HOL', 'AFT_HOL', 'BUSY_FRI', 'OTHER'];
+// activation status values that indicate that an airspace is activated by NOTAM
+const NOTAM_ACTIVATION_STATUS = ['ACTIVE_NOTAM', 'INTERMITTENT', 'AVBL_FOR_ACTIVATION'];
+// maps AIXM "CodeAirspaceActivityType" values to activities, all other activities are mapped to "NONE"
+const ACTIVITY_MAPPING = {
+    PARACHUTE: 'PARACHUTING',
+    AEROBATICS: 'AEROBATICS',
+    AERIAL_WORK: 'AEROCLUB_AERIAL_WORK',
+    ULM: 'ULM',
+    HANG_GLIDING: 'HANG_GLIDING',
+};
+// AIXM services that reference the airspaces they are provided for in "aixm:clientAirspace"
+const SERVICE_FEATURES = ['aixm:AirTrafficControlService', 'aixm:InformationService'];
+// locations of airspace elements relative to the airspace, used in diagnostics
+const TIME_SLICE_LOCATION = 'aixm:timeSlice/aixm:AirspaceTimeSlice';
+const VOLUME_LOCATION = `${TIME_SLICE_LOCATION}/aixm:geometryComponent/aixm:AirspaceGeometryComponent/aixm:theAirspaceVolume/aixm:AirspaceVolume`;
 
-class AirspaceConverter {
+class AirspaceConverter extends BaseConverter {
     /**
      * @param {Object} [config]
      * @param {Object} [config.validateGeometries] - Validate geometries. Defaults to true.
@@ -79,484 +46,829 @@ class AirspaceConverter {
      * @param {number} [config.geometryDetail] - Defines the steps that are used to calculate arcs and circles. Defaults to 100. Higher values mean smoother circles but a higher number of polygon points.
      * @param {boolean} [config.strictSchemaValidation] - If true, the created GEOJSON is validated against the underlying schema to enforce compatibility.
      * If false, simply warns on console about schema mismatch. Defaults to false.
+     * @param {boolean} [config.convertMetersToFeet] - If true, vertical limits in meters are converted to feet. Defaults to true.
+     * @param {boolean} [config.keepOriginalLimits] - If true, the original AIXM vertical limit definition is kept alongside the converted one. Defaults to false.
+     * @param {string} [config.preferredLanguage] - Language of the AIXM notes that is used for remarks if a note is available in multiple languages, e.g. "GER". Defaults to "ENG".
+     * @param {string|Object} [config.mappingProfile] - Profile that maps AIXM airspace types, local types and classes. Either the name of a built-in profile ("openaip" or "national"), a path to a JSON file or a profile object. Defaults to "national".
+     * @param {string} [config.unmappedValues] - Defines how airspaces with a type or class that has no mapping in the profile are handled. Either "error", "passThrough" to keep the AIXM value or "skip" to skip the airspace. Defaults to "error".
      */
     constructor(config) {
-        this.config = { ...DEFAULT_CONFIG, ...config };
+        super(config, GEOJSON_SCHEMA, 'aixm:Airspace', [
+            'aixm:Airspace',
+            'aixm:GeoBorder',
+            'aixm:Unit',
+            'aixm:RadioCommunicationChannel',
+            ...SERVICE_FEATURES,
+        ]);
+        this.mappingProfile = loadMappingProfile(this.config.mappingProfile);
+        /** @type {Object[]} */
+        this.fileServices = [];
+    }
 
-        if (checkTypes.boolean(this.config.validateGeometries) === false) {
-            throw new Error(
-                `Missing or invalid config parameter 'validateGeometries': ${this.config.validateGeometries}`
-            );
+    /**
+     * @param {Object} options - See "BaseConverter.convert" for available options.
+     * @return {void}
+     * @protected
+     */
+    prepare(options) {
+        super.prepare(options);
+
+        const { serviceFileBuffer } = options;
+        // services from the service file are only used for airspaces that have no service in the AIXM data
+        this.fileServices = serviceFileBuffer == null ? [] : parseServiceFile(serviceFileBuffer);
+    }
+
+    /**
+     * Creates one feature for each vertical layer of the airspace. If the airspace consists of multiple layers, each
+     * feature has its own identifier and references the airspace's identifier as "parentIdentifier".
+     *
+     * @param {Object} airspaceJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(airspaceJson, options) {
+        const { validityWindow } = options;
+        const features = [];
+
+        const properties = this.getTimeSlice(airspaceJson['aixm:Airspace']);
+        // airspace does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return features;
         }
-        if (checkTypes.boolean(this.config.fixGeometries) === false) {
-            throw new Error(`Missing or invalid config parameter 'fixGeometries': ${this.config.fixGeometries}`);
+        const identifier = airspaceJson['aixm:Airspace']?.['gml:identifier']?._text;
+        const name = properties['aixm:name']?._text;
+        const designator = properties['aixm:designator']?._text;
+        const type = properties['aixm:type']?._text?.trim();
+        const localType = properties['aixm:localType']?._text?.trim();
+        // the class of the first layer class definition applies to the whole airspace
+        const [layerClass] = toArray(properties['aixm:class']);
+        const icaoClass = layerClass?.['aixm:AirspaceLayerClass']?.['aixm:classification']?._text?.trim();
+        const geometryComponents = this.getGeometryComponents(properties);
+        const featureLifetime = properties['aixm:featureLifetime'];
+        const activations = toArray(properties['aixm:activation']).map(
+            (activation) => activation['aixm:AirspaceActivation']
+        );
+
+        // set identifier for error messages
+        this.ident = `${designator} ${name} (${identifier})`;
+        const activationPeriod =
+            featureLifetime == null
+                ? null
+                : this.withErrorContext(
+                      ERROR_CODES.INVALID_ACTIVATION_PERIOD,
+                      `${TIME_SLICE_LOCATION}/aixm:featureLifetime`,
+                      () => this.createActivationPeriod(featureLifetime)
+                  );
+        // skip airspaces that are expired or not yet effective within the requested window
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return features;
         }
-        if (checkTypes.integer(this.config.geometryDetail) === false) {
-            throw new Error(`Missing or invalid config parameter 'geometryDetail': ${this.config.geometryDetail}`);
+        // map to only type/class combination
+        const classTypeMeta = this.mapClassAndType(type, localType, icaoClass);
+        // airspaces with unmapped type or class are skipped if configured
+        if (classTypeMeta == null) {
+            this.skipFeature(SKIP_REASONS.UNMAPPED_VALUE);
+
+            return features;
         }
-        if (checkTypes.boolean(this.config.strictSchemaValidation) === false) {
-            throw new Error(
-                `Missing or invalid config parameter 'strictSchemaValidation': ${this.config.strictSchemaValidation}`
+        // notes of the airspace and its activations apply to all layers
+        const notes = [properties, ...activations].flatMap((element) => this.getNotes(element));
+        const hoursOfOperation = this.createHoursOfOperation(activations);
+        const activatedByNotam = this.isActivatedByNotam(activations, notes);
+        const activity = this.createActivity(activations);
+        const groundService = this.createGroundService(airspaceJson['aixm:Airspace'], identifier, designator);
+        const layers = this.getLayers(geometryComponents);
+
+        for (const [index, layer] of layers.entries()) {
+            const upperLimit = layer.limitsVolume['aixm:upperLimit'];
+            const upperLimitReference = layer.limitsVolume['aixm:upperLimitReference'];
+            const lowerLimit = layer.limitsVolume['aixm:lowerLimit'];
+            const lowerLimitReference = layer.limitsVolume['aixm:lowerLimitReference'];
+            const volumeId = layer.limitsVolume._attributes?.['gml:id'];
+            const volumeLocation = volumeId == null ? VOLUME_LOCATION : `${VOLUME_LOCATION}[@gml:id='${volumeId}']`;
+            const upperCeiling = this.withErrorContext(
+                ERROR_CODES.INVALID_VERTICAL_LIMIT,
+                `${volumeLocation}/aixm:upperLimit`,
+                () => this.createCeiling(upperLimit, upperLimitReference)
+            );
+            const lowerCeiling = this.withErrorContext(
+                ERROR_CODES.INVALID_VERTICAL_LIMIT,
+                `${volumeLocation}/aixm:lowerLimit`,
+                () => this.createCeiling(lowerLimit, lowerLimitReference)
             );
+            const remarks = this.createRemarks([
+                ...notes,
+                ...layer.components.flatMap((component) => this.getNotes(component.volume)),
+            ]);
+            const { geometry, unfixedGeometry } = this.withErrorContext(
+                ERROR_CODES.INVALID_GEOMETRY,
+                `${TIME_SLICE_LOCATION}/aixm:geometryComponent`,
+                () => this.createLayerGeometry(layer)
+            );
+            // airspaces with multiple layers are split into separate features that share the airspace's identifier
+            const isLayered = layers.length > 1;
+            if (geometry !== unfixedGeometry) {
+                // areas in square meters
+                const areaBefore = getArea(unfixedGeometry);
+                const areaAfter = getArea(geometry);
+                this.fixedGeometries.push({
+                    identifier: isLayered ? `${identifier}_${index + 1}` : identifier,
+                    designator,
+                    areaBefore,
+                    areaAfter,
+                    areaChange: areaAfter - areaBefore,
+                });
+            }
+            const polygonFeature = {
+                type: 'Feature',
+                // set "base" airspace properties that is common to all airspaces defined in AIXM  block. Each AIXM block can define
+                // multiple airspaces, all with the same base properties.
+                properties: {
+                    ...{
+                        identifier: isLayered ? `${identifier}_${index + 1}` : identifier,
+                        parentIdentifier: isLayered ? identifier : null,
+                        name,
+                        designator,
+                        ...classTypeMeta,
+                        upperCeiling,
+                        lowerCeiling,
+                        groundService,
+                        activationPeriod,
+                        hoursOfOperation,
+                        activatedByNotam,
+                        activity,
+                        remarks,
+                    },
+                },
+                geometry,
+            };
+
+            features.push(cleanDeep(polygonFeature));
+        }
+        // IMPORTANT reset internal state for next airspace
+        this.reset();
+
+        return features;
+    }
+
+    /**
+     * Creates the geometry of a single vertical layer. The geometry is fixed and validated if configured. If the
+     * geometry is fixed, the unfixed geometry is returned as well, otherwise both are the same.
+     *
+     * @param {{limitsVolume: Object, components: Object[]}} layer
+     * @return {{geometry: Object, unfixedGeometry: Object}}
+     * @private
+     */
+    createLayerGeometry(layer) {
+        const unfixedGeometry = this.createGeometryFromComponents(layer.components);
+        const geometry = this.config.fixGeometries ? this.fixGeometry(unfixedGeometry) : unfixedGeometry;
+        if (this.config.validateGeometries) {
+            const { isValid, selfIntersect } = this.validateGeometry(geometry);
+            if (isValid === false) {
+                let message = `Invalid geometry for airspace '${this.ident}'`;
+                if (selfIntersect != null) {
+                    message += `: Self intersection at ${JSON.stringify(selfIntersect)}`;
+                }
+                throw new Error(message);
+            }
         }
 
-        this.ajv = new Ajv({
-            // nullable: true,
-            verbose: true,
-            allErrors: true,
-            // jsonPointers: true,
+        return { geometry, unfixedGeometry };
+    }
+
+    /**
+     * Groups the geometry components of an airspace into vertical layers. Components with the same vertical limits
+     * belong to the same layer. Components without vertical limits, e.g. a subtracted area, are applied to all layers.
+     *
+     * @param {{operation: string, sequence: number, volume: Object}[]} components
+     * @return {{limitsVolume: Object, components: Object[]}[]}
+     * @private
+     */
+    getLayers(components) {
+        const layers = new Map();
+        const sharedComponents = [];
+        for (const component of components) {
+            const limitsVolume = this.getLimitsVolume(component.volume);
+            const limits = [
+                'aixm:upperLimit',
+                'aixm:upperLimitReference',
+                'aixm:lowerLimit',
+                'aixm:lowerLimitReference',
+            ].map((key) => [limitsVolume[key]?._text?.trim(), limitsVolume[key]?._attributes?.uom]);
+            if (limits.every(([value]) => value == null)) {
+                sharedComponents.push(component);
+                continue;
+            }
+
+            const key = JSON.stringify(limits);
+            if (layers.has(key) === false) {
+                layers.set(key, { limitsVolume, components: [] });
+            }
+            layers.get(key).components.push(component);
+        }
+        if (layers.size === 0) {
+            return [{ limitsVolume: {}, components }];
+        }
+
+        // keep the operation sequence order of layer and shared components
+        return [...layers.values()].map(({ limitsVolume, components: layerComponents }) => ({
+            limitsVolume,
+            components: components.filter(
+                (component) => layerComponents.includes(component) || sharedComponents.includes(component)
+            ),
+        }));
+    }
+
+    /**
+     * Returns all geometry components of an airspace time slice ordered by their operation sequence. Components
+     * without an operation are treated as "BASE".
+     *
+     * @param {Object} timeSlice
+     * @return {{operation: string, sequence: number, volume: Object}[]}
+     * @private
+     */
+    getGeometryComponents(timeSlice) {
+        const components = toArray(timeSlice?.['aixm:geometryComponent']).map((geometryComponent, index) => {
+            const component = geometryComponent['aixm:AirspaceGeometryComponent'];
+            const sequence = parseInt(component?.['aixm:operationSequence']?._text);
+
+            return {
+                operation: component?.['aixm:operation']?._text?.trim() ?? 'BASE',
+                sequence: Number.isNaN(sequence) ? index + 1 : sequence,
+                volume: component?.['aixm:theAirspaceVolume']?.['aixm:AirspaceVolume'],
+            };
         });
-        // set all used formats
-        addFormats(this.ajv, ['date-time', 'date']);
-        // set all used keywords
-        ajvKeywords(this.ajv, []);
-        // add unknown keywords that would otherwise result in an exception
-        this.ajv.addVocabulary(['example']);
-        require('ajv-errors')(this.ajv);
-        // add schema
-        this.ajv.validateSchema(GEOJSON_SCHEMA);
-        this.ajv.addSchema(GEOJSON_SCHEMA);
-        this.schemaValidator = this.ajv.getSchema(
-            'https://adhoc-schemas.openaip.net/schemas/parsed-aixm-airspace.json'
-        );
+        if (components.length === 0 || components.some((component) => component.volume == null)) {
+            throw new Error(`Missing airspace volume for airspace '${this.ident}'`);
+        }
 
-        // used in error messages to better identify the airspace that caused the error
-        this.ident = null;
+        return components.sort((a, b) => a.sequence - b.sequence);
     }
 
     /**
-     * Converts a buffer containing AIXM airspace data to GeoJSON.
+     * Returns the volume that defines the vertical limits. If the volume itself has no vertical limits but is based on
+     * a contributor airspace, the base volume of the contributor airspace is used.
      *
-     * @param {Buffer} buffer
-     * @param {Object} options
-     * @param {Buffer} options.serviceFileBuffer - Buffer containing "service.yaml" file data.
+     * @param {Object} volume
      * @return {Object}
+     * @private
      */
-    async convert(buffer, options) {
-        this.reset();
-
-        const { serviceFileBuffer } = options;
+    getLimitsVolume(volume) {
+        if (volume?.['aixm:upperLimit'] != null || volume?.['aixm:lowerLimit'] != null) {
+            return volume;
+        }
 
-        if (checkTypes.instance(buffer, Buffer) === false) {
-            throw new Error("Missing or invalid parameter 'buffer'");
+        const contributor = this.resolveContributorAirspace(volume);
+        if (contributor == null) {
+            return volume ?? {};
         }
-        if (serviceFileBuffer != null && checkTypes.instance(serviceFileBuffer, Buffer) === false) {
-            throw new Error("Missing or invalid parameter 'serviceFileBuffer'");
+        const timeSlice = this.getTimeSlice(contributor);
+
+        return this.getLimitsVolume(this.getGeometryComponents(timeSlice)[0].volume);
+    }
+
+    /**
+     * Creates the geometry of an airspace from its geometry components. The components are evaluated in order of their
+     * operation sequence, i.e. each component is combined with the result of all previous components using the
+     * component's operation (BASE, UNION, SUBTR or INTERS).
+     *
+     * @param {{operation: string, sequence: number, volume: Object}[]} components
+     * @return {Object}
+     * @private
+     */
+    createGeometryFromComponents(components) {
+        if (components.length === 1) {
+            return this.createVolumeGeometry(components[0].volume);
         }
 
-        var aixmJson = convert.xml2js(buffer, { compact: true, spaces: 4 });
-        // build options for createAirspaceFeature
-        const createOptions = {};
-        const geojsonFeatures = [];
-        for (const airspace of aixmJson['message:AIXMBasicMessage']['message:hasMember']) {
-            geojsonFeatures.push(...(await this.createAirspaceFeature(airspace, createOptions)));
+        const reader = new jsts.io.GeoJSONReader();
+        const writer = new jsts.io.GeoJSONWriter();
+        let result = null;
+        for (const { operation, volume } of components) {
+            const geometry = reader.read(this.createVolumeGeometry(volume));
+            if (result == null) {
+                result = geometry;
+                continue;
+            }
+
+            switch (operation) {
+                case 'BASE':
+                    result = geometry;
+                    break;
+                case 'UNION':
+                    result = result.union(geometry);
+                    break;
+                case 'SUBTR':
+                    result = result.difference(geometry);
+                    break;
+                case 'INTERS':
+                    result = result.intersection(geometry);
+                    break;
+                default:
+                    throw new Error(`Unsupported geometry operation '${operation}' for airspace '${this.ident}'`);
+            }
+        }
+        // components that only touch each other result in lines or points that are not part of the airspace
+        const polygons = this.getPolygons(result);
+        if (polygons.length === 0) {
+            throw new Error(`Empty geometry after applying geometry operations for airspace '${this.ident}'`);
         }
+        const factory = result.getFactory();
 
-        const geojson = createFeatureCollection(geojsonFeatures);
-        const valid = this.schemaValidator(geojson);
-        if (valid === false) {
-            if (this.config.strictSchemaValidation) {
-                throw new Error(
-                    `GeoJSON does not adhere to underlying schema. ${JSON.stringify(this.schemaValidator.errors)}`
-                );
+        return writer.write(polygons.length === 1 ? polygons[0] : factory.createMultiPolygon(polygons));
+    }
+
+    /**
+     * Returns the non-empty polygons of a JSTS geometry. Operations on polygons may also result in a line, a point or
+     * a geometry collection if the operands only touch each other.
+     *
+     * @param {Object} geometry - JSTS geometry.
+     * @return {Object[]}
+     * @private
+     */
+    getPolygons(geometry) {
+        const polygons = [];
+        for (let index = 0; index < geometry.getNumGeometries(); index++) {
+            const part = geometry.getGeometryN(index);
+            if (part === geometry) {
+                if (part.getGeometryType() === 'Polygon' && part.isEmpty() === false) {
+                    polygons.push(part);
+                }
             } else {
-                console.log('WARN: GeoJSON does not adhere to underlying schema.');
+                polygons.push(...this.getPolygons(part));
             }
         }
 
-        return geojson;
+        return polygons;
     }
 
     /**
-     * @param {Object} airspaceJson
-     * @param {Object} options
+     * Creates the geometry of a single airspace volume. The volume either defines a horizontal projection, i.e. a
+     * surface, a corridor centreline or is based on a referenced contributor airspace.
+     *
+     * @param {Object} volume
      * @return {Object}
      * @private
      */
-    async createAirspaceFeature(airspaceJson, options) {
-        const {} = options;
-        const features = [];
+    createVolumeGeometry(volume) {
+        const surface = volume['aixm:horizontalProjection']?.['aixm:Surface'];
+        if (surface != null) {
+            return this.createPolygonFeature(surface).geometry;
+        }
+        // corridors, e.g. airways, are defined by a centreline and a width instead of a horizontal projection
+        const centreline = volume['aixm:centreline']?.['aixm:Curve'];
+        if (centreline != null) {
+            return this.createCorridorFeature(centreline, volume['aixm:width']).geometry;
+        }
 
-        const properties = airspaceJson['aixm:Airspace']?.['aixm:timeSlice']?.['aixm:AirspaceTimeSlice'];
-        const identifier = airspaceJson['aixm:Airspace']?.['gml:identifier']?._text;
-        const name = properties['aixm:name']?._text;
-        const designator = properties['aixm:designator']?._text;
-        const type = properties['aixm:type']?._text;
-        const localType = properties['aixm:localType']?._text;
-        const icaoClass = properties['aixm:class']?.['aixm:AirspaceLayerClass']?.['aixm:classification'] ?? null;
-        const geometryComponent =
-            properties['aixm:geometryComponent']?.['aixm:AirspaceGeometryComponent']?.['aixm:theAirspaceVolume']?.[
-                'aixm:AirspaceVolume'
-            ];
-        const featureLifetime = properties['aixm:featureLifetime'];
-        const activation = properties['aixm:activation']?.['aixm:AirspaceActivation'];
+        const contributor = this.resolveContributorAirspace(volume);
+        if (contributor == null) {
+            throw new Error(`Missing horizontal projection or contributor airspace for airspace '${this.ident}'`);
+        }
+        // guard against circular references, e.g. an airspace that is based on itself
+        if (this.resolvingReferences.has(contributor)) {
+            throw new Error(`Circular contributor airspace reference for airspace '${this.ident}'`);
+        }
+        this.resolvingReferences.add(contributor);
 
-        // set identifier for error messages
-        this.ident = `${designator} ${name} (${identifier})`;
-        // map to only type/class combination
-        const classTypeMeta= this.mapClassAndType(type, localType, icaoClass);
-        const upperLimit = geometryComponent['aixm:upperLimit'];
-        const upperLimitReference = geometryComponent['aixm:upperLimitReference'];
-        const lowerLimit = geometryComponent['aixm:lowerLimit'];
-        const lowerLimitReference = geometryComponent['aixm:lowerLimitReference'];
-        const width = geometryComponent['aixm:width'];
-        const surface = geometryComponent['aixm:horizontalProjection']?.['aixm:Surface'];
-        const upperCeiling = this.createCeiling(upperLimit, upperLimitReference);
-        const lowerCeiling = this.createCeiling(lowerLimit, lowerLimitReference);
-        const activationPeriod = this.createActivationPeriod(featureLifetime);
-        // TODO: implement
-        const hoursOfOperation = this.createHoursOfOperation(activation);
-        const feature = this.createPolygonFeature(surface, width);
-        let geometry = feature.geometry;
-        if (this.config.fixGeometries) {
-            geometry = this.fixGeometry(feature.geometry);
+        try {
+            const timeSlice = this.getTimeSlice(contributor);
+
+            return this.createGeometryFromComponents(this.getGeometryComponents(timeSlice));
+        } finally {
+            this.resolvingReferences.delete(contributor);
         }
-        if (this.config.validateGeometries) {
-            const { isValid, selfIntersect } = this.validateGeometry(geometry);
-            if (isValid === false) {
-                let message = `Invalid geometry for airspace '${this.ident}'`;
-                if (selfIntersect != null) {
-                    message += `: Self intersection at ${JSON.stringify(selfIntersect)}`;
-                }
-                throw new Error(message);
+    }
+
+    /**
+     * Resolves the airspace referenced by the volume's "aixm:contributorAirspace".
+     *
+     * @param {Object} volume
+     * @return {Object|null}
+     * @private
+     */
+    resolveContributorAirspace(volume) {
+        const dependency = volume?.['aixm:contributorAirspace']?.['aixm:AirspaceVolumeDependency'];
+        if (dependency == null) {
+            return null;
+        }
+
+        const href = dependency['aixm:theAirspace']?._attributes?.['xlink:href'];
+        const referenced = this.index.resolve(href);
+        if (referenced == null || referenced.name !== 'aixm:Airspace') {
+            throw new Error(`Failed to resolve contributor airspace '${href}' for airspace '${this.ident}'`);
+        }
+
+        return referenced.element;
+    }
+
+    /**
+     * Creates hours of operation from the airspace activations. Each timesheet of an activation results in a
+     * schedule entry. Activations without timesheets result in a schedule entry without times, i.e. the activation
+     * status applies at all times.
+     *
+     * @param {Object[]} activations
+     * @return {{schedules: Object[]}|null}
+     */
+    createHoursOfOperation(activations) {
+        const schedules = [];
+        for (const activation of toArray(activations)) {
+            const status = activation['aixm:status']?._text?.trim();
+            const activity = activation['aixm:activity']?._text?.trim();
+            const timesheets = toArray(activation['aixm:timeInterval'])
+                .map((timeInterval) => timeInterval['aixm:Timesheet'])
+                .filter((timesheet) => timesheet != null);
+
+            if (timesheets.length === 0) {
+                schedules.push({ status, activity });
+            }
+            for (const timesheet of timesheets) {
+                schedules.push({ status, activity, ...this.createSchedule(timesheet) });
             }
         }
-        const polygonFeature = {
-            type: 'Feature',
-            // set "base" airspace properties that is common to all airspaces defined in AIXM  block. Each AIXM block can define
-            // multiple airspaces, all with the same base properties.
-            properties: {
-                ...{
-                    identifier,
-                    name,
-                    designator,
-                    ...classTypeMeta,
-                    upperCeiling,
-                    lowerCeiling,
-                    activationPeriod,
-                    hoursOfOperation,
-                },
-            },
-            geometry,
-        };
 
-        features.push(cleanDeep(feature));
-        // IMPORTANT reset internal state for next airspace
-        this.reset();
+        return schedules.length > 0 ? { schedules } : null;
+    }
 
-        return polygonFeature;
+    /**
+     * An airspace is activated by NOTAM if any activation has a NOTAM related status, e.g. "INTERMITTENT", or if a
+     * note of the airspace or its activations mentions a NOTAM.
+     *
+     * @param {Object[]} activations
+     * @param {{purpose: string|null, text: string}[]} [notes] - Notes of the airspace and its activations, see "getNotes".
+     * @return {boolean}
+     */
+    isActivatedByNotam(activations, notes) {
+        const hasNotamStatus = toArray(activations).some((activation) =>
+            NOTAM_ACTIVATION_STATUS.includes(activation['aixm:status']?._text?.trim().toUpperCase())
+        );
+
+        return hasNotamStatus || toArray(notes).some(({ text }) => /\bNOTAM\b/i.test(text));
     }
 
     /**
-     * Creates an activation period for a given feature lifetime.
+     * Maps the first activity of the airspace activations that has a mapping. Defaults to "NONE".
      *
-     * @param {Object} featureLifetime
-     * @return {Object}
+     * @param {Object[]} activations
+     * @return {string}
      */
-    createActivationPeriod(featureLifetime) {
-        if (featureLifetime.hasOwnProperty('gml:TimePeriod')) {
-            const beginPosition = featureLifetime['gml:TimePeriod']?.['gml:beginPosition']?._text;
-            let endPosition = featureLifetime['gml:TimePeriod']?.['gml:endPosition']?._text;
-            // handle possible "unknown" end position - set to max date
-            if (endPosition == null) {
-                endPosition = '9999-01-01T00:00:00Z';
+    createActivity(activations) {
+        for (const activation of toArray(activations)) {
+            const activity = activation['aixm:activity']?._text?.trim().toUpperCase();
+            if (ACTIVITY_MAPPING[activity] != null) {
+                return ACTIVITY_MAPPING[activity];
             }
+        }
 
-            const start = new Date(beginPosition);
-            const end = new Date(endPosition);
+        return 'NONE';
+    }
 
-            return { start, end };
-        } else {
-            throw new Error(`Unknown activation period for airspace '${this.ident}'.`);
+    /**
+     * Creates the ground service of an airspace from the first AIXM service that lists the airspace as client
+     * airspace and defines a callsign and a frequency. Falls back to the services of the service file.
+     *
+     * @param {Object} airspace
+     * @param {string} identifier
+     * @param {string} designator
+     * @return {{callsign: string, frequency: string}|null}
+     * @private
+     */
+    createGroundService(airspace, identifier, designator) {
+        for (const serviceName of SERVICE_FEATURES) {
+            for (const service of this.getReferencingFeatures(serviceName, 'aixm:clientAirspace', airspace)) {
+                const groundService = this.createServiceFromFeature(service);
+                if (groundService != null) {
+                    return groundService;
+                }
+            }
         }
+        // services with an identifier are only matched by identifier, all other services by designator
+        const fileService = this.fileServices.find((service) =>
+            service.identifier == null ? service.designator === designator : service.identifier === identifier
+        );
+
+        return fileService == null ? null : { callsign: fileService.callsign, frequency: fileService.frequency };
     }
 
     /**
-     * Creates hours of operation based on the activation parameter.
+     * Reads callsign and frequency of an AIXM service. English callsigns are preferred. If the service has no
+     * callsign, the name of the unit that provides the service is used. The frequency is read from the first
+     * referenced "aixm:RadioCommunicationChannel" that defines a transmission frequency.
      *
-     * @param {Object} activation
-     * @return {Object}
+     * @param {Object} service
+     * @return {{callsign: string, frequency: string}|null}
+     * @private
      */
-    createHoursOfOperation(activation) {
-        // TODO implement
-        return null;
+    createServiceFromFeature(service) {
+        const timeSlice = this.getTimeSlice(service);
+        if (timeSlice == null) {
+            return null;
+        }
+
+        const callsignDetails = toArray(timeSlice['aixm:call-sign'])
+            .map((callsign) => callsign['aixm:CallsignDetail'])
+            .filter((callsignDetail) => callsignDetail != null);
+        const callsignDetail =
+            callsignDetails.find((detail) => detail['aixm:language']?._text?.trim().toUpperCase() === 'ENG') ??
+            callsignDetails[0];
+        let callsign = callsignDetail?.['aixm:callSign']?._text?.trim();
+        if (callsign == null) {
+            const unit = this.index.resolve(timeSlice['aixm:serviceProvider']?._attributes?.['xlink:href']);
+            callsign =
+                unit?.name === 'aixm:Unit' ? this.getTimeSlice(unit.element)?.['aixm:name']?._text?.trim() : null;
+        }
+        const frequency = toArray(timeSlice['aixm:radioCommunication'])
+            .map((channel) => this.index.resolve(channel._attributes?.['xlink:href']))
+            .filter((channel) => channel?.name === 'aixm:RadioCommunicationChannel')
+            .map((channel) => this.createServiceFrequency(this.getTimeSlice(channel.element)))
+            .find((channelFrequency) => channelFrequency != null);
+        if (callsign == null || frequency == null) {
+            return null;
+        }
+
+        return { callsign, frequency };
     }
 
     /**
-     * @param {string} type
-     * @param {string} localType
-     * @param {string} airspaceClass
+     * Formats the transmission frequency of a radio communication channel in MHz with three decimals, e.g. "118.100".
      *
-     * @return {{type: string, localType: string, class: string}}
+     * @param {Object|null} channelTimeSlice
+     * @return {string|null}
+     * @private
      */
-    mapClassAndType(type, localType, airspaceClass) {
-        let message = `Failed to map class/type combination for airspace '${this.ident}'.`;
-        // check type is allowed
-        if (ALLOWED_TYPES.includes(type) === false) {
-            throw new Error(`${message} The 'type' value '${type}' is not in the list of allowed types.`);
-        }
-        if (localType != null && ALLOWED_LOCALTYPES.includes(localType) === false) {
-            throw new Error(
-                `${message} The 'localType' value '${localType}' is not in the list of allowed localtypes.`
-            );
+    createServiceFrequency(channelTimeSlice) {
+        const frequency = channelTimeSlice?.['aixm:frequencyTransmission'];
+        const value = Number.parseFloat(frequency?._text);
+        if (Number.isNaN(value)) {
+            return null;
         }
-        if (airspaceClass != null && ALLOWED_CLASSES.includes(airspaceClass) === false) {
-            throw new Error(`${message} The 'class' value '${airspaceClass}' is not in the list of allowed classes.`);
-        }
-
-        let mappedType = null;
-        let mappedClass = null;
-        let mappedLocalType = null;
-
-        // mapped airspace types
-        switch (type) {
-            case 'NAS':
-                mappedType = 'NAS';
-                break;
-            case 'FIR':
-            case 'FIR_P':
-                mappedType = 'FIR';
-                break;
-            case 'UIR':
-            case 'UIR_P':
-                mappedType = 'UIR';
-                break;
-            case 'CTA':
-            case 'CTA_P':
-                mappedType = 'CTA';
-                break;
-            case 'OCA_P':
-            case 'OCA':
-                mappedType = 'OCA';
-                break;
-            case 'UTA':
-            case 'UTA_P':
-                mappedType = 'UTA';
-                break;
-            case 'TMA':
-            case 'TMA_P':
-                mappedType = 'TMA';
-                break;
-            case 'CTR':
-            case 'CTR_P':
-                mappedType = 'CTR';
-                break;
-            case 'OTA':
-                mappedType = 'OTA';
-                break;
-            case 'SECTOR':
-            case 'SECTOR_C':
-                mappedType = 'SECTOR';
-                break;
-            case 'TSA':
-                mappedType = 'TSA';
-                break;
-            case 'CBA':
-                mappedType = 'CBA';
-                break;
-            case 'RCA':
-                mappedType = 'RCA';
-                break;
-            case 'RAS':
-                mappedType = 'RAS';
-                break;
-            case 'AWY':
-                mappedType = 'AWY';
-                break;
-            case 'MTR':
-                mappedType = 'MTR';
-                break;
-            case 'P':
-                mappedType = 'PROBHIBITED';
-                break;
-            case 'R':
-                mappedType = 'RESTRICTED';
-                break;
-            case 'D':
-                mappedType = 'DANGER';
-                break;
-            case 'ADIZ':
-                mappedType = 'ADIZ';
-                break;
-            case 'NO_FIR':
-                mappedType = 'NO_FIR';
-                break;
-            case 'PART':
-                mappedType = 'PART';
-                break;
-            case 'CLASS':
-                mappedType = 'CLASS';
-                break;
-            case 'POLITICAL':
-                mappedType = 'POLITICAL';
-                break;
-            case 'D_OTHER':
-                mappedType = 'D_OTHER';
-                break;
-            case 'TRA':
-                mappedType = 'TRA';
-                break;
-            case 'A':
-                mappedType = 'ALERT';
-                break;
-            case 'W':
-                mappedType = 'WARNING';
-                break;
-            case 'PROTECT':
-                mappedType = 'PROTECTED';
-                break;
-            case 'AMA':
-                mappedType = 'AMA';
-                break;
-            case 'ASR':
-                mappedType = 'ASR';
-                break;
-            case 'ADV':
-                mappedType = 'ADVISORY';
-                break;
-            case 'UADV':
-                mappedType = 'UADV';
-                break;
-            case 'ATZ':
-            case 'ATZ_P':
-                mappedType = 'ATZ';
-                break;
-            case 'HTZ':
-                mappedType = 'HTZ';
-                break;
-            case 'NAS_P':
-            case 'OTHER':
-                mappedType = 'OTHER';
-                break;
-            default:
-                throw new Error(`${message} The 'type' value '${type}' has no configured mapping.`);
-        }
-
-        // mapped airspace class
-        switch (airspaceClass) {
-            case 'A':
-                mappedClass = 'A';
-                break;
-            case 'B':
-                mappedClass = 'B';
-                break;
-            case 'C':
-                mappedClass = 'C';
-                break;
-            case 'D':
-                mappedClass = 'D';
-                break;
-            case 'E':
-                mappedClass = 'E';
-                break;
-            case 'F':
-                mappedClass = 'F';
-                break;
-            case 'G':
-                mappedClass = 'G';
-                break;
-            case 'NO':
-                mappedClass = 'UNCLASSIFIED';
-                break;
+
+        const unit = frequency._attributes?.uom?.trim().toUpperCase();
+        switch (unit) {
+            case 'MHZ':
+                return value.toFixed(3);
+            case 'KHZ':
+                return (value / 1000).toFixed(3);
             default:
-                throw new Error(`${message} The 'class' value '${airspaceClass}' has no configured mapping.`);
+                throw new Error(`Unsupported frequency unit '${unit}' for airspace '${this.ident}'`);
         }
+    }
 
-        switch (localType) {
-            case 'RMZ':
-                mappedLocalType = 'RMZ';
-                break;
-            default:
-                throw new Error(`${message} The 'localType' value '${localType}' has no configured mapping.`);
+    /**
+     * Returns the notes of the element's annotations. If a note is available in multiple languages, the linguistic
+     * note in the configured preferred language is used, otherwise the first one.
+     *
+     * @param {Object} element
+     * @return {{purpose: string|null, text: string}[]}
+     * @private
+     */
+    getNotes(element) {
+        const preferredLanguage = this.config.preferredLanguage.toUpperCase();
+        const notes = [];
+        for (const annotation of toArray(element?.['aixm:annotation'])) {
+            const note = annotation['aixm:Note'];
+            const linguisticNotes = toArray(note?.['aixm:translatedNote'])
+                .map((translatedNote) => translatedNote['aixm:LinguisticNote']?.['aixm:note'])
+                .filter((linguisticNote) => (linguisticNote?._text?.trim() ?? '') !== '');
+            const linguisticNote =
+                linguisticNotes.find((text) => text._attributes?.lang?.trim().toUpperCase() === preferredLanguage) ??
+                linguisticNotes[0];
+            if (linguisticNote != null) {
+                notes.push({
+                    purpose: note['aixm:purpose']?._text?.trim().toUpperCase() ?? null,
+                    text: linguisticNote._text.trim(),
+                });
+            }
         }
 
-        return { type: mappedType, localType: mappedLocalType, class: mappedClass };
+        return notes;
     }
 
     /**
-     * Converts a AIXM limit object to
-     * "{
-     *      "value": 1500,
-     *      "unit": "FT",
-     *      "referenceDatum": "MSL"
-     *  }"
+     * Merges notes into a single remarks text. Each note is put on a separate line and prefixed with its purpose,
+     * e.g. "WARNING: ...", unless it is a plain remark. Duplicate notes are only added once.
      *
-     *  This function assumes that only unit "ft" or "FL" or "SFC" is used in the ceiling definition.
+     * @param {{purpose: string|null, text: string}[]} notes
+     * @return {string|null}
+     * @private
+     */
+    createRemarks(notes) {
+        const lines = notes.map(({ purpose, text }) =>
+            purpose == null || purpose === 'REMARK' ? text : `${purpose}: ${text}`
+        );
+        const remarks = [...new Set(lines)].join('\n');
+
+        return remarks === '' ? null : remarks;
+    }
+
+    /**
+     * Creates a schedule entry from a single "aixm:Timesheet".
      *
-     * @param {Object} limit
-     * @param {Object} referenceDatum
+     * @param {Object} timesheet
      * @return {Object}
+     * @private
      */
-    createCeiling(limit, referenceDatum) {
-        const limitValue = limit?._text;
-        const limitUnitValue = limit?._attributes?.uom;
-        const referenceDatumValue = referenceDatum?._text;
+    createSchedule(timesheet) {
+        const getText = (key) => timesheet[key]?._text?.trim();
+        const timeReference = getText('aixm:timeReference');
+        const startTime = getText('aixm:startTime');
+        const endTime = getText('aixm:endTime');
 
-        if (limitValue == null && limitUnitValue == null && referenceDatumValue == null) {
-            throw new Error(`Invalid ceiling definition for airspace '${this.ident}'`);
+        if (timeReference != null && /^UTC([+-]\d{1,2}(:\d{2})?)?$/.test(timeReference) === false) {
+            throw new Error(`Unsupported time reference '${timeReference}' for airspace '${this.ident}'`);
+        }
+        for (const time of [startTime, endTime]) {
+            if (time != null && /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(time) === false) {
+                throw new Error(`Invalid timesheet time '${time}' for airspace '${this.ident}'`);
+            }
         }
 
         return {
-            value: limitValue,
-            unit: limitUnitValue,
-            referenceDatum: referenceDatumValue,
+            timeReference,
+            daylightSavingAdjust: getText('aixm:daylightSavingAdjust') === 'YES',
+            startDate: getText('aixm:startDate'),
+            endDate: getText('aixm:endDate'),
+            days: this.createDays(getText('aixm:day'), getText('aixm:dayTil')),
+            startTime,
+            startEvent: this.createTimeEvent(
+                getText('aixm:startEvent'),
+                timesheet['aixm:startTimeRelativeEvent'],
+                getText('aixm:startEventInterpretation')
+            ),
+            endTime,
+            endEvent: this.createTimeEvent(
+                getText('aixm:endEvent'),
+                timesheet['aixm:endTimeRelativeEvent'],
+                getText('aixm:endEventInterpretation')
+            ),
+            excluded: getText('aixm:excluded') === 'YES',
         };
     }
 
     /**
-     * Creates a GeoJSON Polygon geometry from a AIXM airspace boundary (geometry) definition.
+     * Expands a timesheet's "day" to "dayTil" range to a list of days, e.g. "MON" to "WED" results in
+     * ["MON", "TUE", "WED"]. Ranges may wrap around the end of the week. Special days like "HOL" are not expanded and
+     * cannot be part of a range.
      *
-     * @param {Array} boundary
-     * @return {Object}
+     * @param {string} day
+     * @param {string} [dayTil]
+     * @return {string[]|null}
      * @private
      */
-    createPolygonFeature(boundary, width) {
-        // depending on the geometry type, choose specific geometry type handler
-        const geometryDefinition = boundary['gml:patches'];
-        const isPolygonPatch = boundary['gml:patches']?.['gml:PolygonPatch'] != null;
+    createDays(day, dayTil) {
+        if (day == null) {
+            return null;
+        }
+        if (day === 'ANY') {
+            return [...WEEKDAYS];
+        }
+
+        if (WEEKDAYS.includes(day) === false && SPECIAL_DAYS.includes(day) === false) {
+            throw new ConversionError(
+                `Invalid timesheet day '${day}' for airspace '${this.ident}'`,
+                ERROR_CODES.INVALID_ACTIVATION_PERIOD
+            );
+        }
+        if (dayTil == null || dayTil === day) {
+            return [day];
+        }
 
-        if (isPolygonPatch) {
-            return this.createGeometryFromPolygonPatch(geometryDefinition);
-        } else {
-            throw new Error(
-                `Unsupported geometry type '${Object.values(geometryDefinition).pop()}' for airspace '${this.ident}'`
+        const start = WEEKDAYS.indexOf(day);
+        const end = WEEKDAYS.indexOf(dayTil);
+        if (start === -1 || end === -1) {
+            throw new ConversionError(
+                `Invalid day range '${day}' to '${dayTil}' for airspace '${this.ident}'`,
+                ERROR_CODES.INVALID_ACTIVATION_PERIOD
             );
         }
+
+        const count = ((end - start + WEEKDAYS.length) % WEEKDAYS.length) + 1;
+
+        return Array.from({ length: count }, (_, index) => WEEKDAYS[(start + index) % WEEKDAYS.length]);
+    }
+
+    /**
+     * Creates a time event, i.e. sunrise ("SR") or sunset ("SS") with an optional offset in minutes.
+     *
+     * @param {string} event
+     * @param {Object} relativeEvent
+     * @param {string} interpretation - Either "EARLIEST" or "LATEST" if the event is combined with a time.
+     * @return {{event: string, offset: number, interpretation: string}|null}
+     * @private
+     */
+    createTimeEvent(event, relativeEvent, interpretation) {
+        if (event == null) {
+            return null;
+        }
+        if (['SR', 'SS'].includes(event) === false) {
+            throw new Error(`Unsupported timesheet event '${event}' for airspace '${this.ident}'`);
+        }
+
+        let offset = parseInt(relativeEvent?._text ?? 0);
+        if (relativeEvent?._attributes?.uom?.toUpperCase() === 'HR') {
+            offset *= 60;
+        }
+
+        return { event, offset, interpretation };
     }
 
     /**
-     * Creates a geometry from a polygon patch.
+     * Maps the AIXM type, local type and class of an airspace with the configured mapping profile. A mapped local type
+     * takes precedence over the type, e.g. an airspace of type "OTHER" with local type "RMZ" is mapped to "RMZ".
+     * Airspaces without class are mapped to the profile's default class. Unmapped values either throw, are passed
+     * through or result in null, i.e. the airspace is skipped, depending on the "unmappedValues" config parameter.
+     *
+     * @param {string} type
+     * @param {string} localType
+     * @param {string} airspaceClass
      *
-     * @param {Object} geometryDefinition - The definition of the geometry.
-     */
-    createGeometryFromPolygonPatch(geometryDefinition) {
-        const polygonPatch = geometryDefinition['gml:PolygonPatch'];
-        const exterior = polygonPatch['gml:exterior'];
-        const ring = exterior['gml:Ring'];
-        const curveMember = ring['gml:curveMember'];
-        const curve = curveMember['gml:Curve'];
-        const segments = curve['gml:segments'];
-        const geodesicString = segments['gml:GeodesicString'];
-
-        // extract the coordinates from the segments
-
-        const extractCoordinates = function (positions) {
-            const coordinates = [];
-            for (const pos of positions) {
-                const [longitude, latitude] = pos?._text?.split(' ');
-                coordinates.push([parseFloat(longitude), parseFloat(latitude)]);
+     * @return {{type: string, class: string}|null}
+     */
+    mapClassAndType(type, localType, airspaceClass) {
+        const { types, localTypes, classes, defaultClass } = this.mappingProfile;
+        const mappedType = localTypes[localType?.toUpperCase()] ?? types[type?.toUpperCase()];
+        const mappedClass = airspaceClass == null ? defaultClass : classes[airspaceClass.toUpperCase()];
+        if (mappedType != null && mappedClass != null) {
+            return { type: mappedType, class: mappedClass };
+        }
+
+        switch (this.config.unmappedValues) {
+            case 'passThrough':
+                return { type: mappedType ?? localType ?? type, class: mappedClass ?? airspaceClass };
+            case 'skip':
+                return null;
+            default: {
+                const message = `Failed to map class/type combination for airspace '${this.ident}'.`;
+                if (mappedType == null && localType != null) {
+                    throw new ConversionError(
+                        `${message} Neither the 'type' value '${type}' nor the 'localType' value '${localType}' has a configured mapping.`,
+                        ERROR_CODES.UNMAPPED_VALUE,
+                        `${TIME_SLICE_LOCATION}/aixm:localType`
+                    );
+                }
+                if (mappedType == null) {
+                    throw new ConversionError(
+                        `${message} The 'type' value '${type}' has no configured mapping.`,
+                        ERROR_CODES.UNMAPPED_VALUE,
+                        `${TIME_SLICE_LOCATION}/aixm:type`
+                    );
+                }
+
+                throw new ConversionError(
+                    `${message} The 'class' value '${airspaceClass}' has no configured mapping.`,
+                    ERROR_CODES.UNMAPPED_VALUE,
+                    `${TIME_SLICE_LOCATION}/aixm:class/aixm:AirspaceLayerClass/aixm:classification`
+                );
             }
+        }
+    }
 
-            return coordinates;
-        };
+    /**
+     * Creates the coordinates of a referenced airspace, i.e. the exterior ring of the airspace's base component
+     * surface.
+     *
+     * @param {string} name
+     * @param {Object} element
+     * @param {string} href
+     * @return {Array[]}
+     * @protected
+     */
+    createReferencedFeatureCoordinates(name, element, href) {
+        if (name !== 'aixm:Airspace') {
+            return super.createReferencedFeatureCoordinates(name, element, href);
+        }
 
-        let coords = [];
-        for (const pos of geodesicString) {
-            const coordinates = extractCoordinates(pos['gml:pos']);
-            coords = coords.concat(coordinates);
+        const timeSlice = this.getTimeSlice(element);
+        const [baseComponent] = this.getGeometryComponents(timeSlice);
+        const surface = baseComponent.volume['aixm:horizontalProjection']?.['aixm:Surface'];
+        if (surface == null) {
+            throw new Error(`Referenced airspace '${href}' has no surface for airspace '${this.ident}'`);
         }
 
-        return createPolygon([coords]);
+        return this.withReferenceSystem(surface, () => this.createRingCoordinates(this.getSurfaceExterior(surface)));
+    }
+
+    /**
+     * Creates a GeoJSON Polygon geometry for a corridor that is defined by a centreline curve and a width. The
+     * centreline is buffered by half of the width on each side.
+     *
+     * @param {Object} centreline
+     * @param {Object} width
+     * @return {Object}
+     * @private
+     */
+    createCorridorFeature(centreline, width) {
+        const { value, units } = this.getDistance(width, 'width');
+        const coordinates = this.createCurveCoordinates(centreline);
+        if (coordinates.length < 2) {
+            throw new Error(`Invalid corridor centreline for airspace '${this.ident}'`);
+        }
+        // buffer steps are defined per quarter circle
+        const steps = Math.max(1, Math.ceil(this.config.geometryDetail / 4));
+
+        return buffer(createLineString(coordinates), value / 2, { units, steps });
     }
 
     /**
@@ -572,7 +884,7 @@ class AirspaceConverter {
         //  which will lead to an increase of polygon coordinates
         if (!isValid || !isSimple || selfIntersect) {
             try {
-                fixedGeometry = this.createFixedPolygon(geometry.coordinates[0]);
+                fixedGeometry = this.createFixedGeometry(geometry);
             } catch (e) {
                 throw new Error(`Failed to create fixed geometry for airspace '${this.ident}'`);
             }
@@ -581,6 +893,35 @@ class AirspaceConverter {
         return fixedGeometry;
     }
 
+    /**
+     * Fixes each ring of a Polygon or MultiPolygon geometry separately. Fixed interior rings (holes) are subtracted
+     * from the fixed exterior ring and all fixed polygons are merged into a single Polygon or MultiPolygon again.
+     *
+     * @param {Object} geometry
+     * @return {Object}
+     * @private
+     */
+    createFixedGeometry(geometry) {
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        // simple polygons without holes are fixed directly
+        if (polygons.length === 1 && polygons[0].length === 1) {
+            return this.createFixedPolygon(polygons[0][0]);
+        }
+
+        const reader = new jsts.io.GeoJSONReader();
+        const writer = new jsts.io.GeoJSONWriter();
+        let fixedGeometry = null;
+        for (const [exterior, ...interiors] of polygons) {
+            let polygon = reader.read(this.createFixedPolygon(exterior));
+            for (const interior of interiors) {
+                polygon = polygon.difference(reader.read(this.createFixedPolygon(interior)));
+            }
+            fixedGeometry = fixedGeometry == null ? polygon : fixedGeometry.union(polygon);
+        }
+
+        return writer.write(fixedGeometry);
+    }
+
     /**
      * Tries to create a valid Polygon geometry without any self-intersections and holes from the input coordinates.
      * This does ALTER the geometry and will return a new and valid geometry instead. Depending on the size of self-intersections,
@@ -761,14 +1102,6 @@ class AirspaceConverter {
 
         return fixedPoints;
     }
-
-    /**
-     * @return {void}
-     * @private
-     */
-    reset() {
-        this.ident = null;
-    }
 }
 
 module.exports = { AirspaceConverter };
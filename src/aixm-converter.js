@@ -1,6 +1,14 @@
 const checkTypes = require('check-types');
 const fs = require('node:fs');
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
 const { AirspaceConverter } = require('./airspace-converter');
+const { NavaidConverter } = require('./navaid-converter');
+const { AirportConverter } = require('./airport-converter');
+const { DesignatedPointConverter } = require('./designated-point-converter');
+const { ObstacleConverter } = require('./obstacle-converter');
+const { RouteConverter } = require('./route-converter');
+const { UNMAPPED_VALUES_OPTIONS } = require('./base-converter');
 
 const DEFAULT_CONFIG = require('./default-config');
 
@@ -15,6 +23,12 @@ class AixmConverter {
      * @param {number} [config.geometryDetail] - Defines the steps that are used to calculate arcs and circles. Defaults to 100. Higher values
      * @param {boolean} [config.strictSchemaValidation] - If true, the created GEOJSON is validated against the underlying schema to enforce compatibility.
      * If false, simply warns on console about schema mismatch. Defaults to false.
+     * @param {boolean} [config.convertMetersToFeet] - If true, vertical limits in meters are converted to feet. Defaults to true.
+     * @param {boolean} [config.keepOriginalLimits] - If true, the original AIXM vertical limit definition is kept alongside the converted one. Defaults to false.
+     * @param {string} [config.preferredLanguage] - Language of the AIXM notes that is used for remarks if a note is available in multiple languages, e.g. "GER". Defaults to "ENG".
+     * @param {string|Object} [config.mappingProfile] - Profile that maps AIXM airspace types, local types and classes. Either the name of a built-in profile ("openaip" or "national"), a path to a JSON file or a profile object. Defaults to "national".
+     * @param {string} [config.unmappedValues] - Defines how airspaces with a type or class that has no mapping in the profile are handled. Either "error", "passThrough" to keep the AIXM value or "skip" to skip the airspace. Defaults to "error".
+     * @param {boolean} [config.continueOnError] - If true, features that fail to convert are skipped and their errors are collected in the diagnostics instead of aborting the conversion. Defaults to false.
      */
     constructor(config) {
         this.config = { ...DEFAULT_CONFIG, ...config };
@@ -35,21 +49,53 @@ class AixmConverter {
                 `Missing or invalid config parameter 'strictSchemaValidation': ${this.config.strictSchemaValidation}`
             );
         }
+        if (checkTypes.boolean(this.config.convertMetersToFeet) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'convertMetersToFeet': ${this.config.convertMetersToFeet}`
+            );
+        }
+        if (checkTypes.boolean(this.config.keepOriginalLimits) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'keepOriginalLimits': ${this.config.keepOriginalLimits}`
+            );
+        }
+        if (checkTypes.nonEmptyString(this.config.preferredLanguage) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'preferredLanguage': ${this.config.preferredLanguage}`
+            );
+        }
+        if (
+            checkTypes.nonEmptyString(this.config.mappingProfile) === false &&
+            checkTypes.object(this.config.mappingProfile) === false
+        ) {
+            throw new Error(`Missing or invalid config parameter 'mappingProfile': ${this.config.mappingProfile}`);
+        }
+        if (UNMAPPED_VALUES_OPTIONS.includes(this.config.unmappedValues) === false) {
+            throw new Error(`Missing or invalid config parameter 'unmappedValues': ${this.config.unmappedValues}`);
+        }
+        if (checkTypes.boolean(this.config.continueOnError) === false) {
+            throw new Error(`Missing or invalid config parameter 'continueOnError': ${this.config.continueOnError}`);
+        }
 
         /** @type {Object} */
         this.geojson = null;
+        this.resetResults();
     }
 
     /**
      * @param {string} inputFilepath
      * @param {Object} config
-     * @param {string} config.type - Type of AIXM content. Currently only "airspace" is supported.
+     * @param {string} config.type - Type of AIXM content, either "airspace", "navaid", "airport", "designated-point", "obstacle" or "route".
+     * @param {string} [config.serviceFilePath] - Path to a "service.yaml" file.
+     * @param {Date} [config.effectiveDate] - If given, features are converted as effective at this date, i.e. AIXM time slices are evaluated at this date.
+     * If not given, the latest known permanent state of each feature is converted.
+     * @param {{start: Date, end: Date}} [config.validityWindow] - If given, only features whose lifetime overlaps this window are converted. Start and end are optional.
      * @return {Promise<void>}
      */
     async convertFromFile(inputFilepath, config) {
         this.reset();
 
-        const { type, serviceFilePath } = config;
+        const { type, serviceFilePath, effectiveDate, validityWindow } = config;
 
         if (checkTypes.nonEmptyString(inputFilepath) === false) {
             throw new Error("Missing or invalid parameter 'inputFilePath'");
@@ -72,7 +118,7 @@ class AixmConverter {
         // read file content from inputFilePath to Buffer and hand over to convertFromBuffer function
         const buffer = await fs.readFileSync(inputFilepath);
 
-        const convertConfig = { type };
+        const convertConfig = { type, effectiveDate, validityWindow };
         if (serviceFilePath != null) {
             convertConfig.serviceFileBuffer = await fs.readFileSync(serviceFilePath);
         }
@@ -80,18 +126,113 @@ class AixmConverter {
         return this.convertFromBuffer(buffer, convertConfig);
     }
 
+    /**
+     * Converts an AIXM file without reading the whole file into memory and returns the converted GeoJSON features one
+     * by one. Only features that are referenced by the converted features, e.g. borders of airspaces, are kept in
+     * memory. The features are the same as the features of the GeoJSON created by "convertFromFile". The GeoJSON of a
+     * previous conversion is discarded, i.e. "toGeojson" returns null afterwards.
+     *
+     * @param {string} inputFilepath
+     * @param {Object} config - See "convertFromFile" for available config parameters.
+     * @return {AsyncGenerator<Object>}
+     */
+    async *convertFromFileStream(inputFilepath, config) {
+        const { type, serviceFilePath, effectiveDate, validityWindow } = config;
+
+        if (checkTypes.nonEmptyString(inputFilepath) === false) {
+            throw new Error("Missing or invalid parameter 'inputFilePath'");
+        }
+        if (checkTypes.nonEmptyString(type) === false) {
+            throw new Error("Missing or invalid config parameter 'type'");
+        }
+        if (fs.existsSync(inputFilepath) === false) {
+            throw new Error(`File '${inputFilepath}' does not exist`);
+        }
+        if (serviceFilePath != null && fs.existsSync(serviceFilePath) === false) {
+            throw new Error(`File '${serviceFilePath}' does not exist`);
+        }
+
+        const serviceFileBuffer = serviceFilePath == null ? undefined : fs.readFileSync(serviceFilePath);
+        const converter = this.getConverter(type);
+
+        this.reset();
+        const features = converter.convertStream(inputFilepath, { serviceFileBuffer, effectiveDate, validityWindow });
+        for await (const feature of features) {
+            // results of the features that are converted so far
+            this.readResults(converter, [feature]);
+
+            yield feature;
+        }
+        this.readResults(converter, []);
+    }
+
+    /**
+     * Converts an AIXM file and writes the GeoJSON features to the output file as soon as they are converted. The
+     * written file is the same as the file written by "toGeojsonFile" after converting the file with "convertFromFile".
+     * Features are written to a temporary file next to the output file that replaces the output file once the conversion
+     * is complete, i.e. a failed conversion leaves no incomplete output file behind.
+     *
+     * @param {string} inputFilepath
+     * @param {string} outputFilepath
+     * @param {Object} config - See "convertFromFile" for available config parameters.
+     * @return {Promise<void>}
+     */
+    async streamToGeojsonFile(inputFilepath, outputFilepath, config) {
+        if (checkTypes.nonEmptyString(outputFilepath) === false) {
+            throw new Error("Missing or invalid parameter 'outputFilepath'");
+        }
+
+        const features = this.convertFromFileStream(inputFilepath, config);
+        const temporaryFilepath = `${outputFilepath}.tmp`;
+        try {
+            // the pipeline waits for buffered data to be written and fails on errors of the file, e.g. missing directories
+            await pipeline(
+                Readable.from(this.createGeojsonText(features)),
+                fs.createWriteStream(temporaryFilepath, { encoding: 'utf-8' })
+            );
+        } catch (e) {
+            // remove the incomplete file instead of leaving a truncated GeoJSON file behind
+            fs.rmSync(temporaryFilepath, { force: true });
+
+            throw e;
+        }
+        fs.renameSync(temporaryFilepath, outputFilepath);
+    }
+
+    /**
+     * Returns the text of a GeoJSON FeatureCollection with the given features in chunks. The text has the same format
+     * as "JSON.stringify(geojson, null, 2)" of the feature collection.
+     *
+     * @param {AsyncIterable<Object>} features
+     * @return {AsyncGenerator<string>}
+     * @private
+     */
+    async *createGeojsonText(features) {
+        const header = '{\n  "type": "FeatureCollection",\n  "features": [';
+        let count = 0;
+        for await (const feature of features) {
+            const json = JSON.stringify(feature, null, 2).replace(/\n/g, '\n    ');
+            yield `${count === 0 ? header : ','}\n    ${json}`;
+            count++;
+        }
+        yield count === 0 ? `${header}]\n}` : '\n  ]\n}';
+    }
+
     /**
      * @param {Buffer} buffer
      * @param {Object} config
-     * @param {string} config.type - Type of AIXM content. Currently only "airspace" is supported.
+     * @param {string} config.type - Type of AIXM content, either "airspace", "navaid", "airport", "designated-point", "obstacle" or "route".
      * @param {Buffer} [config.serviceFileBuffer] - Buffer of a "service.yaml" file. If given, tries to read services from file if type is "airspace".
      * If successful, this will map radio services to airspaces. If not given, services are not read.
+     * @param {Date} [config.effectiveDate] - If given, features are converted as effective at this date, i.e. AIXM time slices are evaluated at this date.
+     * If not given, the latest known permanent state of each feature is converted.
+     * @param {{start: Date, end: Date}} [config.validityWindow] - If given, only features whose lifetime overlaps this window are converted. Start and end are optional.
      * @return {Promise<void>}
      */
     async convertFromBuffer(buffer, config) {
         this.reset();
 
-        const { type, serviceFileBuffer } = config;
+        const { type, serviceFileBuffer, effectiveDate, validityWindow } = config;
 
         if (checkTypes.instance(buffer, Buffer) === false) {
             throw new Error("Missing or invalid parameter 'buffer'");
@@ -102,9 +243,45 @@ class AixmConverter {
         if (serviceFileBuffer != null && checkTypes.instance(serviceFileBuffer, Buffer) === false) {
             throw new Error(`Missing or invalid config parameter 'serviceFileBuffer': ${serviceFileBuffer}`);
         }
+        if (effectiveDate != null && checkTypes.date(effectiveDate) === false) {
+            throw new Error(`Missing or invalid config parameter 'effectiveDate': ${effectiveDate}`);
+        }
+        if (validityWindow != null && checkTypes.object(validityWindow) === false) {
+            throw new Error(`Missing or invalid config parameter 'validityWindow': ${validityWindow}`);
+        }
 
         const converter = this.getConverter(type);
-        this.geojson = await converter.convert(buffer, { serviceFileBuffer });
+        this.geojson = await converter.convert(buffer, { serviceFileBuffer, effectiveDate, validityWindow });
+        this.readResults(converter, this.geojson.features);
+    }
+
+    /**
+     * Returns the errors of all features that are skipped in the last conversion if "continueOnError" is enabled.
+     * Each entry contains the feature's identifier and designator, the error code, e.g. "INVALID_GEOMETRY", the error
+     * message and the XPath-like location of the element that caused the error.
+     *
+     * @return {{identifier: string|null, designator: string|null, code: string, message: string, location: string}[]}
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    /**
+     * Returns a summary of the last conversion: the number of converted features per type and class, the features
+     * that are skipped without error and why, the errors of skipped features (see "getDiagnostics"), the geometries
+     * that are changed by "fixGeometries" with their area in square meters before and after fixing, and the schema
+     * validation errors if "strictSchemaValidation" is disabled.
+     *
+     * @return {{counts: {features: number, types: Object, classes: Object}, skipped: Object[], errors: Object[], fixedGeometries: Object[], schemaErrors: Object[]}}
+     */
+    getReport() {
+        return {
+            counts: this.counts,
+            skipped: this.skipped,
+            errors: this.diagnostics,
+            fixedGeometries: this.fixedGeometries,
+            schemaErrors: this.schemaErrors,
+        };
     }
 
     /**
@@ -147,17 +324,65 @@ class AixmConverter {
         switch (type) {
             case 'airspace':
                 return new AirspaceConverter(this.config);
+            case 'navaid':
+                return new NavaidConverter(this.config);
+            case 'airport':
+                return new AirportConverter(this.config);
+            case 'designated-point':
+                return new DesignatedPointConverter(this.config);
+            case 'obstacle':
+                return new ObstacleConverter(this.config);
+            case 'route':
+                return new RouteConverter(this.config);
             default:
                 throw new Error(`Unknown type '${type}'`);
         }
     }
 
+    /**
+     * Reads the results of the given converter and counts the given converted features.
+     *
+     * @param {Object} converter
+     * @param {Object[]} features
+     * @return {void}
+     * @private
+     */
+    readResults(converter, features) {
+        this.diagnostics = converter.diagnostics;
+        this.skipped = converter.skipped;
+        this.fixedGeometries = converter.fixedGeometries;
+        this.schemaErrors = converter.schemaErrors;
+        const { types, classes } = this.counts;
+        for (const { properties } of features) {
+            this.counts.features++;
+            if (properties.type != null) {
+                types[properties.type] = (types[properties.type] ?? 0) + 1;
+            }
+            if (properties.class != null) {
+                classes[properties.class] = (classes[properties.class] ?? 0) + 1;
+            }
+        }
+    }
+
+    /**
+     * @return {void}
+     * @private
+     */
+    resetResults() {
+        this.counts = { features: 0, types: {}, classes: {} };
+        this.diagnostics = [];
+        this.skipped = [];
+        this.fixedGeometries = [];
+        this.schemaErrors = [];
+    }
+
     /**
      * @return {void}
      * @private
      */
     reset() {
         this.geojson = null;
+        this.resetResults();
     }
 }
 
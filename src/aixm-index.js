@@ -0,0 +1,220 @@
+const { toArray } = require('./xml-utils');
+
+/**
+ * Index over all members of an AIXM message. Used to resolve "xlink:href" references to features, e.g. "urn:uuid:...",
+ * and to elements with a "gml:id", e.g. "#ID_123".
+ */
+class AixmIndex {
+    /**
+     * @param {Object[]} [members] - List of "message:hasMember" elements.
+     */
+    constructor(members) {
+        /** @type {Map<string, {name: string, element: Object}>} */
+        this.features = new Map();
+        /** @type {Map<string, {name: string, element: Object}>} */
+        this.elements = new Map();
+        // features by the identifiers of the features they reference, built on first use
+        /** @type {Map<string, {name: string, element: Object}[]>|null} */
+        this.referencingFeatures = null;
+
+        for (const member of toArray(members)) {
+            this.add(member);
+        }
+    }
+
+    /**
+     * Adds all features of a single "message:hasMember" element to the index. The time slices of a feature that is
+     * already indexed, e.g. a PERMDELTA that is delivered in a separate member than its BASELINE, are merged into the
+     * indexed feature.
+     *
+     * @param {Object} member
+     * @return {void}
+     */
+    add(member) {
+        for (const [name, features] of Object.entries(member)) {
+            if (name.startsWith('_')) {
+                continue;
+            }
+
+            for (const feature of toArray(features)) {
+                const identifier = feature['gml:identifier']?._text?.trim();
+                const indexed = identifier == null ? null : this.features.get(identifier.toLowerCase());
+                if (indexed != null && indexed.element !== feature) {
+                    indexed.element['aixm:timeSlice'] = [
+                        ...toArray(indexed.element['aixm:timeSlice']),
+                        ...toArray(feature['aixm:timeSlice']),
+                    ];
+                } else if (identifier != null) {
+                    this.features.set(identifier.toLowerCase(), { name, element: feature });
+                }
+                this.addElements(name, feature);
+            }
+        }
+        // references of the added features may target any indexed feature
+        this.referencingFeatures = null;
+    }
+
+    /**
+     * Recursively adds the element and all its child elements that define a "gml:id".
+     *
+     * @param {string} name
+     * @param {Object} element
+     * @return {void}
+     * @private
+     */
+    addElements(name, element) {
+        const gmlId = element?._attributes?.['gml:id'];
+        if (gmlId != null) {
+            this.elements.set(gmlId, { name, element });
+        }
+        for (const [childName, children] of Object.entries(element ?? {})) {
+            if (childName.startsWith('_')) {
+                continue;
+            }
+
+            for (const child of toArray(children)) {
+                if (typeof child === 'object') {
+                    this.addElements(childName, child);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns all features with the given name, e.g. all "aixm:Runway" features.
+     *
+     * @param {string} name
+     * @return {Object[]}
+     */
+    getFeatures(name) {
+        return [...this.features.values()].filter((feature) => feature.name === name).map((feature) => feature.element);
+    }
+
+    /**
+     * Returns all features with the given name that reference the feature with the given identifier in any of their
+     * time slices, e.g. all "aixm:Runway" features that reference an airport. The reverse references of all features
+     * are collected once after the index has changed.
+     *
+     * @param {string} identifier - The referenced feature's "gml:identifier".
+     * @param {string} name
+     * @return {Object[]}
+     */
+    getReferencingFeatures(identifier, name) {
+        if (this.referencingFeatures == null) {
+            this.referencingFeatures = new Map();
+            for (const feature of this.features.values()) {
+                const referencedIdentifiers = new Set(
+                    getHrefs(feature.element).map((href) => this.getReferencedIdentifier(href))
+                );
+                for (const referencedIdentifier of referencedIdentifiers) {
+                    if (referencedIdentifier == null) {
+                        continue;
+                    }
+                    if (this.referencingFeatures.has(referencedIdentifier) === false) {
+                        this.referencingFeatures.set(referencedIdentifier, []);
+                    }
+                    this.referencingFeatures.get(referencedIdentifier).push(feature);
+                }
+            }
+        }
+
+        return (this.referencingFeatures.get(identifier.trim().toLowerCase()) ?? [])
+            .filter((feature) => feature.name === name)
+            .map((feature) => feature.element);
+    }
+
+    /**
+     * Returns the lower case "gml:identifier" of the feature a "xlink:href" reference points to. References to
+     * features that are not indexed are only supported by UUID, e.g. "urn:uuid:a82b3fc9-...".
+     *
+     * @param {string} href
+     * @return {string|null}
+     */
+    getReferencedIdentifier(href) {
+        const identifier = this.resolve(href)?.element['gml:identifier']?._text?.trim();
+
+        return identifier?.toLowerCase() ?? parseHref(href).identifier;
+    }
+
+    /**
+     * Returns true if any of the given feature identifiers or "gml:id"s is indexed.
+     *
+     * @param {Set<string>} identifiers - Lower case "gml:identifier" values.
+     * @param {Set<string>} gmlIds
+     * @return {boolean}
+     */
+    includesAny(identifiers, gmlIds) {
+        return (
+            [...this.features.keys()].some((identifier) => identifiers.has(identifier)) ||
+            [...this.elements.keys()].some((gmlId) => gmlIds.has(gmlId))
+        );
+    }
+
+    /**
+     * Resolves a "xlink:href" reference. Supports references to features by UUID, e.g. "urn:uuid:a82b3fc9-...",
+     * and references to elements by "gml:id", e.g. "#ID_123" or "#xpointer(//aixm:Curve[@gml:id='ID_123'])".
+     *
+     * @param {string} href
+     * @return {{name: string, element: Object}|null}
+     */
+    resolve(href) {
+        const { identifier, gmlId } = parseHref(href);
+        const element = gmlId == null ? null : this.elements.get(gmlId);
+        if (element != null) {
+            return element;
+        }
+
+        return identifier == null ? null : this.features.get(identifier) ?? null;
+    }
+}
+
+/**
+ * Splits a "xlink:href" reference into the referenced feature's identifier, e.g. "urn:uuid:a82b3fc9-...", and the
+ * referenced element's "gml:id", e.g. "#ID_123" or "#xpointer(//aixm:Curve[@gml:id='ID_123'])".
+ *
+ * @param {string} href
+ * @return {{identifier: string|null, gmlId: string|null}}
+ */
+function parseHref(href) {
+    if (href == null) {
+        return { identifier: null, gmlId: null };
+    }
+
+    const [base, fragment] = href.trim().split('#');
+    const identifier = base.toLowerCase().startsWith('urn:uuid:')
+        ? base.substring('urn:uuid:'.length).toLowerCase()
+        : null;
+    const gmlId =
+        fragment == null || fragment === '' ? null : fragment.match(/@gml:id\s*=\s*['"]([^'"]+)['"]/)?.[1] ?? fragment;
+
+    return { identifier, gmlId };
+}
+
+/**
+ * Returns the "xlink:href" references of the element and all its child elements.
+ *
+ * @param {Object} element
+ * @return {string[]}
+ */
+function getHrefs(element) {
+    const hrefs = [];
+    const href = element?._attributes?.['xlink:href'];
+    if (href != null) {
+        hrefs.push(href);
+    }
+    for (const [childName, children] of Object.entries(element ?? {})) {
+        if (childName.startsWith('_')) {
+            continue;
+        }
+
+        for (const child of toArray(children)) {
+            if (typeof child === 'object') {
+                hrefs.push(...getHrefs(child));
+            }
+        }
+    }
+
+    return hrefs;
+}
+
+module.exports = { AixmIndex, parseHref, getHrefs };
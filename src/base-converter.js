@@ -0,0 +1,1430 @@
+const checkTypes = require('check-types');
+const fs = require('node:fs');
+const {
+    featureCollection: createFeatureCollection,
+    polygon: createPolygon,
+    multiPolygon: createMultiPolygon,
+    bearing: calcBearing,
+    lineString: createLineString,
+    distance,
+    circle: createCircle,
+    destination,
+    nearestPointOnLine,
+    lineSlice,
+} = require('@turf/turf');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const ajvKeywords = require('ajv-keywords');
+
+const { parseXml, getChildElements, toArray } = require('./xml-utils');
+const { readMembers } = require('./member-stream');
+const { AixmIndex, parseHref, getHrefs } = require('./aixm-index');
+const { ConversionError, ERROR_CODES } = require('./conversion-error');
+const { getEffectiveTimeSlice } = require('./temporality');
+const DEFAULT_CONFIG = require('./default-config');
+const FEET_PER_METER = 3.28084;
+// maps AIXM distance units of measurement, e.g. of radius or width, to turf units
+const DISTANCE_UNITS = {
+    NM: 'nauticalmiles',
+    KM: 'kilometers',
+    M: 'meters',
+    FT: 'feet',
+};
+// WGS 84 CRS identifiers with "latitude longitude" axis order, e.g. "urn:ogc:def:crs:EPSG::4326"
+const LAT_LON_CRS = [
+    /^urn:ogc:def:crs:EPSG:[\d.]*:4326$/i,
+    /^https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/0\/4326$/i,
+    /^EPSG:4326$/i,
+];
+// WGS 84 CRS identifiers with "longitude latitude" axis order, e.g. "urn:ogc:def:crs:OGC:1.3:CRS84"
+const LON_LAT_CRS = [
+    /^urn:ogc:def:crs:OGC:[\d.]*:CRS84$/i,
+    /^https?:\/\/www\.opengis\.net\/def\/crs\/OGC\/1\.3\/CRS84$/i,
+    /^CRS:84$/i,
+];
+// options that define how unmapped airspace types and classes are handled
+const UNMAPPED_VALUES_OPTIONS = ['error', 'passThrough', 'skip'];
+// reasons why features are skipped without error
+const SKIP_REASONS = {
+    NOT_EFFECTIVE: 'NOT_EFFECTIVE',
+    OUTSIDE_VALIDITY_WINDOW: 'OUTSIDE_VALIDITY_WINDOW',
+    UNMAPPED_VALUE: 'UNMAPPED_VALUE',
+};
+
+/**
+ * Base class of all type specific converters. Reads the members of an AIXM message, hands each member of the
+ * converter's feature type over to "createFeatures" and validates the resulting GeoJSON against the converter's schema.
+ */
+class BaseConverter {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.validateGeometries] - Validate geometries. Defaults to true.
+     * @param {Object} [config.fixGeometries] - Fix geometries that are not valid. Defaults to false.
+     * @param {number} [config.geometryDetail] - Defines the steps that are used to calculate arcs and circles. Defaults to 100. Higher values mean smoother circles but a higher number of polygon points.
+     * @param {boolean} [config.strictSchemaValidation] - If true, the created GEOJSON is validated against the underlying schema to enforce compatibility.
+     * If false, simply warns on console about schema mismatch. Defaults to false.
+     * @param {boolean} [config.convertMetersToFeet] - If true, vertical limits in meters are converted to feet. Defaults to true.
+     * @param {boolean} [config.keepOriginalLimits] - If true, the original AIXM vertical limit definition is kept alongside the converted one. Defaults to false.
+     * @param {string} [config.preferredLanguage] - Language of the AIXM notes that is used for remarks if a note is available in multiple languages, e.g. "GER". Defaults to "ENG".
+     * @param {string|Object} [config.mappingProfile] - Profile that maps AIXM airspace types, local types and classes. Either the name of a built-in profile ("openaip" or "national"), a path to a JSON file or a profile object. Defaults to "national".
+     * @param {string} [config.unmappedValues] - Defines how airspaces with a type or class that has no mapping in the profile are handled. Either "error", "passThrough" to keep the AIXM value or "skip" to skip the airspace. Defaults to "error".
+     * @param {boolean} [config.continueOnError] - If true, features that fail to convert are skipped and their errors are collected in "diagnostics" instead of aborting the conversion. Defaults to false.
+     * @param {Object} schema - JSON schema the created GeoJSON is validated against.
+     * @param {string} featureName - Name of the AIXM feature that is converted, e.g. "aixm:Airspace".
+     * @param {string[]} [referencedFeatureNames] - Names of the AIXM features that converted features may reference, e.g. "aixm:GeoBorder". Only these features are indexed when converting a stream.
+     */
+    constructor(config, schema, featureName, referencedFeatureNames = []) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+
+        if (checkTypes.boolean(this.config.validateGeometries) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'validateGeometries': ${this.config.validateGeometries}`
+            );
+        }
+        if (checkTypes.boolean(this.config.fixGeometries) === false) {
+            throw new Error(`Missing or invalid config parameter 'fixGeometries': ${this.config.fixGeometries}`);
+        }
+        if (checkTypes.integer(this.config.geometryDetail) === false) {
+            throw new Error(`Missing or invalid config parameter 'geometryDetail': ${this.config.geometryDetail}`);
+        }
+        if (checkTypes.boolean(this.config.strictSchemaValidation) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'strictSchemaValidation': ${this.config.strictSchemaValidation}`
+            );
+        }
+        if (checkTypes.boolean(this.config.convertMetersToFeet) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'convertMetersToFeet': ${this.config.convertMetersToFeet}`
+            );
+        }
+        if (checkTypes.boolean(this.config.keepOriginalLimits) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'keepOriginalLimits': ${this.config.keepOriginalLimits}`
+            );
+        }
+        if (checkTypes.nonEmptyString(this.config.preferredLanguage) === false) {
+            throw new Error(
+                `Missing or invalid config parameter 'preferredLanguage': ${this.config.preferredLanguage}`
+            );
+        }
+        if (
+            checkTypes.nonEmptyString(this.config.mappingProfile) === false &&
+            checkTypes.object(this.config.mappingProfile) === false
+        ) {
+            throw new Error(`Missing or invalid config parameter 'mappingProfile': ${this.config.mappingProfile}`);
+        }
+        if (UNMAPPED_VALUES_OPTIONS.includes(this.config.unmappedValues) === false) {
+            throw new Error(`Missing or invalid config parameter 'unmappedValues': ${this.config.unmappedValues}`);
+        }
+        if (checkTypes.boolean(this.config.continueOnError) === false) {
+            throw new Error(`Missing or invalid config parameter 'continueOnError': ${this.config.continueOnError}`);
+        }
+
+        this.featureName = featureName;
+        this.referencedFeatureNames = referencedFeatureNames;
+        this.ajv = new Ajv({
+            // nullable: true,
+            verbose: true,
+            allErrors: true,
+            // jsonPointers: true,
+        });
+        // set all used formats
+        addFormats(this.ajv, ['date-time', 'date']);
+        // set all used keywords
+        ajvKeywords(this.ajv, []);
+        // add unknown keywords that would otherwise result in an exception
+        this.ajv.addVocabulary(['example']);
+        require('ajv-errors')(this.ajv);
+        // add schema
+        this.ajv.validateSchema(schema);
+        this.ajv.addSchema(schema);
+        this.schemaValidator = this.ajv.getSchema(schema.$id);
+
+        // used in error messages to better identify the feature that caused the error
+        this.ident = null;
+        // index over all message members, used to resolve "xlink:href" references
+        this.index = new AixmIndex();
+        // references that are currently resolved, used to detect circular references
+        this.resolvingReferences = new Set();
+        // reference systems, i.e. "srsName" and "srsDimension", of the geometry elements that are currently read
+        this.referenceSystems = [];
+        /** @type {Date|null} */
+        this.effectiveDate = null;
+        // errors of skipped features if "continueOnError" is enabled
+        /** @type {{identifier: string|null, designator: string|null, code: string, message: string, location: string}[]} */
+        this.diagnostics = [];
+        // features that are skipped without error, e.g. because they are not effective at the effective date
+        /** @type {{identifier: string|null, designator: string|null, reason: string}[]} */
+        this.skipped = [];
+        // reason why the feature that is currently converted is skipped
+        this.skipReason = null;
+        // geometries that are changed by "fixGeometries"
+        /** @type {{identifier: string, designator: string, areaBefore: number, areaAfter: number, areaChange: number}[]} */
+        this.fixedGeometries = [];
+        // schema validation errors if "strictSchemaValidation" is disabled
+        /** @type {Object[]} */
+        this.schemaErrors = [];
+    }
+
+    /**
+     * Converts a buffer containing AIXM data to GeoJSON.
+     *
+     * @param {Buffer} buffer
+     * @param {Object} options
+     * @param {Buffer} [options.serviceFileBuffer] - Buffer containing "service.yaml" file data.
+     * @param {Date} [options.effectiveDate] - Date at which the AIXM time slices are evaluated.
+     * @param {{start: Date, end: Date}} [options.validityWindow] - Only features whose lifetime overlaps this window are converted.
+     * @return {Object}
+     */
+    async convert(buffer, options) {
+        this.reset();
+
+        if (checkTypes.instance(buffer, Buffer) === false) {
+            throw new Error("Missing or invalid parameter 'buffer'");
+        }
+        this.prepare(options);
+
+        const { serviceFileBuffer, validityWindow } = options;
+        const aixmJson = parseXml(buffer);
+        const message = aixmJson['message:AIXMBasicMessage'];
+        if (message == null) {
+            throw new Error("Missing root element 'message:AIXMBasicMessage'");
+        }
+        const members = toArray(message['message:hasMember']);
+        // index all members, features may reference other members, e.g. borders, other airspaces or equipment
+        this.index = new AixmIndex(members);
+        // build options for createFeatures
+        const createOptions = { serviceFileBuffer, validityWindow };
+        const geojsonFeatures = [];
+        const convertedIdentifiers = new Set();
+        for (const [index, member] of members.entries()) {
+            const mergedMember =
+                member[this.featureName] == null ? null : this.mergeMember(member, convertedIdentifiers);
+            if (mergedMember != null) {
+                geojsonFeatures.push(...(await this.convertMember(mergedMember, index + 1, createOptions)));
+            }
+        }
+
+        const geojson = createFeatureCollection(geojsonFeatures);
+        this.validateGeojson(geojson);
+
+        return geojson;
+    }
+
+    /**
+     * Converts an AIXM file to GeoJSON features without reading the whole file into memory. First, the members that
+     * are referenced by the converted features, e.g. borders or equipment, are read into the index, see
+     * "indexReferencedMembers". Then, the members of the converter's feature type are read one by one and their
+     * features are returned as soon as they are created. Only the index and the member that is currently converted
+     * are kept in memory. The returned features are the same as the features of "convert".
+     *
+     * @param {string} inputFilepath
+     * @param {Object} options - See "convert" for available options.
+     * @return {AsyncGenerator<Object>}
+     */
+    async *convertStream(inputFilepath, options) {
+        this.reset();
+
+        if (checkTypes.nonEmptyString(inputFilepath) === false) {
+            throw new Error("Missing or invalid parameter 'inputFilepath'");
+        }
+        this.prepare(options);
+
+        const { serviceFileBuffer, validityWindow } = options;
+        await this.indexReferencedMembers(inputFilepath);
+        const members = readMembers(fs.createReadStream(inputFilepath), [this.featureName]);
+        const createOptions = { serviceFileBuffer, validityWindow };
+        const convertedIdentifiers = new Set();
+        for await (const { position, member } of members) {
+            const mergedMember = this.mergeMember(member, convertedIdentifiers);
+            if (mergedMember == null) {
+                continue;
+            }
+            for (const feature of await this.convertMember(mergedMember, position, createOptions)) {
+                this.validateGeojson(createFeatureCollection([feature]));
+
+                yield feature;
+            }
+        }
+    }
+
+    /**
+     * Reads the members that are referenced by the converted features from an AIXM file into the index. Members of
+     * other feature types, e.g. borders or services, are indexed in a first pass. Members of the converter's own
+     * feature type are only indexed in a second pass if they are referenced by other features of the same type, e.g.
+     * airspaces that are referenced by other airspaces, or if their time slices are split across multiple members.
+     * Features that are referenced by UUID from other feature types, e.g. airports that are referenced by runways, are
+     * found without being indexed.
+     *
+     * @param {string} inputFilepath
+     * @return {Promise<void>}
+     * @private
+     */
+    async indexReferencedMembers(inputFilepath) {
+        this.index = new AixmIndex();
+        const isSelfReferencing = this.referencedFeatureNames.includes(this.featureName);
+        // lower case identifiers and "gml:id"s of the features of the converter's own type that must be indexed
+        const identifiers = new Set();
+        const gmlIds = new Set();
+        const readIdentifiers = new Set();
+        const featureNames = [...new Set([...this.referencedFeatureNames, this.featureName])];
+        for await (const { member } of readMembers(fs.createReadStream(inputFilepath), featureNames)) {
+            const [feature] = toArray(member[this.featureName]);
+            if (feature == null) {
+                this.index.add(member);
+            } else {
+                const identifier = feature['gml:identifier']?._text?.trim().toLowerCase();
+                if (readIdentifiers.has(identifier)) {
+                    identifiers.add(identifier);
+                } else if (identifier != null) {
+                    readIdentifiers.add(identifier);
+                }
+            }
+            if (isSelfReferencing === false) {
+                continue;
+            }
+            for (const href of getHrefs(member)) {
+                const { identifier, gmlId } = parseHref(href);
+                // references by "gml:id" only resolve to indexed members, regardless of the referencing feature type
+                if (gmlId != null) {
+                    gmlIds.add(gmlId);
+                } else if (identifier != null && feature != null) {
+                    identifiers.add(identifier);
+                }
+            }
+        }
+        if (identifiers.size === 0 && gmlIds.size === 0) {
+            return;
+        }
+
+        for await (const { member } of readMembers(fs.createReadStream(inputFilepath), [this.featureName])) {
+            if (new AixmIndex([member]).includesAny(identifiers, gmlIds)) {
+                this.index.add(member);
+            }
+        }
+    }
+
+    /**
+     * Returns the member with all time slices of its feature, including the time slices that are delivered in other
+     * members with the same "gml:identifier" and that are merged in the index. Returns null if the feature is already
+     * converted with an earlier member.
+     *
+     * @param {Object} member
+     * @param {Set<string>} convertedIdentifiers - Lower case identifiers of the features that are already converted.
+     * @return {Object|null}
+     * @private
+     */
+    mergeMember(member, convertedIdentifiers) {
+        const [feature] = toArray(member[this.featureName]);
+        const identifier = feature?.['gml:identifier']?._text?.trim().toLowerCase();
+        if (identifier == null) {
+            return member;
+        }
+        if (convertedIdentifiers.has(identifier)) {
+            return null;
+        }
+        convertedIdentifiers.add(identifier);
+        const indexed = this.index.resolve(`urn:uuid:${identifier}`);
+
+        return indexed == null || indexed.element === feature
+            ? member
+            : { ...member, [this.featureName]: indexed.element };
+    }
+
+    /**
+     * Creates the features of a single member. If "continueOnError" is enabled, errors are collected in
+     * "diagnostics" and the member is skipped instead of aborting the conversion.
+     *
+     * @param {Object} member
+     * @param {number} position - Position of the member in the AIXM message, starting at 1.
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     * @private
+     */
+    async convertMember(member, position, options) {
+        this.skipReason = null;
+        try {
+            const features = await this.createFeatures(member, options);
+            if (this.skipReason != null) {
+                const { identifier, designator } = this.getFeatureInfo(member);
+                this.skipped.push({ identifier, designator, reason: this.skipReason });
+                // skipped features return early and leave their internal state behind
+                this.reset();
+            }
+
+            return features;
+        } catch (e) {
+            if (this.config.continueOnError === false) {
+                throw e;
+            }
+            this.diagnostics.push(this.createDiagnostic(e, member, position));
+            // reset internal state that is left over from the failed member
+            this.reset();
+
+            return [];
+        }
+    }
+
+    /**
+     * Marks the feature that is currently converted as skipped, e.g. because it is not effective at the effective
+     * date. Skipped features are listed with the given reason in "skipped".
+     *
+     * @param {string} reason - One of "SKIP_REASONS".
+     * @return {void}
+     * @protected
+     */
+    skipFeature(reason) {
+        this.skipReason = reason;
+    }
+
+    /**
+     * Reads the identifier and designator of a member's feature, e.g. for diagnostics.
+     *
+     * @param {Object} member
+     * @return {{identifier: string|null, designator: string|null, gmlId: string|null}}
+     * @private
+     */
+    getFeatureInfo(member) {
+        const [feature] = toArray(member[this.featureName]);
+        let designator = null;
+        try {
+            designator = this.getTimeSlice(feature)?.['aixm:designator']?._text?.trim() ?? null;
+        } catch (e) {
+            // the time slices themselves may be the cause of the error
+        }
+
+        return {
+            identifier: feature?.['gml:identifier']?._text?.trim() ?? null,
+            designator,
+            gmlId: feature?._attributes?.['gml:id'] ?? null,
+        };
+    }
+
+    /**
+     * @param {Error} error
+     * @param {Object} member
+     * @param {number} position
+     * @return {{identifier: string|null, designator: string|null, code: string, message: string, location: string}}
+     * @private
+     */
+    createDiagnostic(error, member, position) {
+        const { identifier, designator, gmlId } = this.getFeatureInfo(member);
+        const location = [
+            `/message:AIXMBasicMessage/message:hasMember[${position}]`,
+            gmlId == null ? this.featureName : `${this.featureName}[@gml:id='${gmlId}']`,
+            error instanceof ConversionError ? error.location : null,
+        ];
+
+        return {
+            identifier,
+            designator,
+            code: error instanceof ConversionError ? error.code : ERROR_CODES.CONVERSION_ERROR,
+            message: error.message,
+            location: location.filter((part) => part != null).join('/'),
+        };
+    }
+
+    /**
+     * Runs the callback and categorizes all errors that are not categorized yet with the given code and location.
+     *
+     * @param {string} code - One of "ERROR_CODES".
+     * @param {string|null} location - Location of the element relative to the converted feature.
+     * @param {Function} callback
+     * @return {*}
+     * @protected
+     */
+    withErrorContext(code, location, callback) {
+        try {
+            return callback();
+        } catch (e) {
+            if (e instanceof ConversionError) {
+                // keep the error's code but add the location if the error does not define one
+                e.location = e.location ?? location;
+                throw e;
+            }
+            throw new ConversionError(e.message, code, location);
+        }
+    }
+
+    /**
+     * Validates the conversion options and sets up the converter's state for a conversion.
+     *
+     * @param {Object} options - See "convert" for available options.
+     * @return {void}
+     * @protected
+     */
+    prepare(options) {
+        const { serviceFileBuffer, effectiveDate, validityWindow } = options;
+
+        if (serviceFileBuffer != null && checkTypes.instance(serviceFileBuffer, Buffer) === false) {
+            throw new Error("Missing or invalid parameter 'serviceFileBuffer'");
+        }
+        if (effectiveDate != null && checkTypes.date(effectiveDate) === false) {
+            throw new Error("Missing or invalid parameter 'effectiveDate'");
+        }
+        if (validityWindow != null) {
+            const { start, end } = validityWindow;
+            if (
+                (start != null && checkTypes.date(start) === false) ||
+                (end != null && checkTypes.date(end) === false)
+            ) {
+                throw new Error("Missing or invalid parameter 'validityWindow'");
+            }
+        }
+        // all time slices, also of referenced features, are evaluated at the same effective date
+        this.effectiveDate = effectiveDate ?? null;
+        this.diagnostics = [];
+        this.skipped = [];
+        this.fixedGeometries = [];
+        this.schemaErrors = [];
+    }
+
+    /**
+     * @param {Object} geojson
+     * @return {void}
+     * @private
+     */
+    validateGeojson(geojson) {
+        const valid = this.schemaValidator(geojson);
+        if (valid === false) {
+            if (this.config.strictSchemaValidation) {
+                throw new Error(
+                    `GeoJSON does not adhere to underlying schema. ${JSON.stringify(this.schemaValidator.errors)}`
+                );
+            } else {
+                console.log('WARN: GeoJSON does not adhere to underlying schema.');
+                // keep the errors without the verbose schema and data
+                this.schemaErrors.push(
+                    ...this.schemaValidator.errors.map(({ instancePath, schemaPath, keyword, params, message }) => ({
+                        instancePath,
+                        schemaPath,
+                        keyword,
+                        params,
+                        message,
+                    }))
+                );
+            }
+        }
+    }
+
+    /**
+     * Creates the GeoJSON features for a single message member. Must be implemented by each converter.
+     *
+     * @param {Object} member
+     * @param {Object} options
+     * @param {{start: Date, end: Date}} [options.validityWindow]
+     * @return {Promise<Object[]>}
+     * @abstract
+     */
+    async createFeatures() {
+        throw new Error(`Converter does not implement 'createFeatures' for '${this.featureName}'`);
+    }
+
+    /**
+     * Returns the time slice of a feature that is effective at the configured effective date.
+     *
+     * @param {Object} feature
+     * @return {Object|null}
+     * @protected
+     */
+    getTimeSlice(feature) {
+        return getEffectiveTimeSlice(feature, this.effectiveDate);
+    }
+
+    /**
+     * Returns all features with the given name whose effective time slice references the given feature in the
+     * given property, e.g. all runways that reference an airport in "aixm:associatedAirportHeliport". Properties
+     * with multiple references, e.g. "aixm:clientAirspace", match if any of the references matches.
+     *
+     * @param {string} featureName
+     * @param {string} propertyName
+     * @param {Object} referencedFeature
+     * @return {Object[]}
+     * @protected
+     */
+    getReferencingFeatures(featureName, propertyName, referencedFeature) {
+        const identifier = referencedFeature?.['gml:identifier']?._text?.trim().toLowerCase();
+        if (identifier == null) {
+            return [];
+        }
+
+        // only features that reference the feature in any time slice are candidates
+        return this.index.getReferencingFeatures(identifier, featureName).filter((feature) => {
+            const references = toArray(this.getTimeSlice(feature)?.[propertyName]);
+
+            return references.some((reference) => {
+                return this.index.getReferencedIdentifier(reference._attributes?.['xlink:href']) === identifier;
+            });
+        });
+    }
+
+    /**
+     * Creates an activation period for a given feature lifetime. If the lifetime has no or an unknown end position,
+     * the activation period has no end.
+     *
+     * @param {Object} featureLifetime
+     * @return {{start: string, end: string|null}}
+     */
+    createActivationPeriod(featureLifetime) {
+        const timePeriod = featureLifetime?.['gml:TimePeriod'];
+        if (timePeriod == null) {
+            throw new Error(`Unknown activation period for '${this.ident}'`);
+        }
+
+        const start = this.parseTimePosition(timePeriod['gml:beginPosition']);
+        const end = this.parseTimePosition(timePeriod['gml:endPosition']);
+        if (start == null) {
+            throw new Error(`Missing activation period start for '${this.ident}'`);
+        }
+
+        return { start: start.toISOString(), end: end?.toISOString() ?? null };
+    }
+
+    /**
+     * Checks if the activation period overlaps the given window. Window start and end are optional.
+     *
+     * @param {{start: string, end: string|null}} activationPeriod
+     * @param {{start: Date|undefined, end: Date|undefined}} window
+     * @return {boolean}
+     */
+    isWithinWindow(activationPeriod, window) {
+        const start = new Date(activationPeriod.start);
+        const end = activationPeriod.end == null ? null : new Date(activationPeriod.end);
+
+        return (
+            (window.end == null || start < window.end) && (end == null || window.start == null || end > window.start)
+        );
+    }
+
+    /**
+     * Checks if the lifetime of the feature that is currently converted lies outside the validity window. If so, the
+     * feature is marked as skipped. Features without lifetime are always converted.
+     *
+     * @param {Object|undefined} featureLifetime
+     * @param {{start: Date|undefined, end: Date|undefined}|undefined} validityWindow
+     * @return {boolean}
+     * @protected
+     */
+    isOutsideValidityWindow(featureLifetime, validityWindow) {
+        if (validityWindow == null || featureLifetime == null) {
+            return false;
+        }
+        if (this.isWithinWindow(this.createActivationPeriod(featureLifetime), validityWindow)) {
+            return false;
+        }
+        this.skipFeature(SKIP_REASONS.OUTSIDE_VALIDITY_WINDOW);
+
+        return true;
+    }
+
+    /**
+     * @param {Object} timePosition
+     * @return {Date|null}
+     * @protected
+     */
+    parseTimePosition(timePosition) {
+        const text = timePosition?._text?.trim();
+        // unknown positions, e.g. an open end, have no text but an "indeterminatePosition" attribute
+        if (text == null || text === '') {
+            return null;
+        }
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid time position '${text}' for '${this.ident}'`);
+        }
+
+        return date;
+    }
+
+    /**
+     * Creates an elevation above mean sea level, e.g. of a navaid or an airport reference point, or a height above
+     * ground if "GND" is given as reference datum. Elevations in meters are converted to feet unless
+     * "convertMetersToFeet" is false.
+     *
+     * @param {Object} elevation - Elevation element with "uom" attribute, e.g. "aixm:elevation".
+     * @param {string} [referenceDatum] - Either "MSL" or "GND". Defaults to "MSL".
+     * @return {{value: number, unit: string, referenceDatum: string}|null}
+     * @protected
+     */
+    createElevation(elevation, referenceDatum = 'MSL') {
+        const text = elevation?._text?.trim();
+        if (text == null || text === '') {
+            return null;
+        }
+
+        const value = Number.parseFloat(text);
+        const unit = elevation._attributes?.uom?.trim().toUpperCase() ?? 'FT';
+        if (Number.isNaN(value)) {
+            throw new Error(`Invalid elevation '${text}' for '${this.ident}'`);
+        }
+        switch (unit) {
+            case 'FT':
+                return { value: Math.round(value), unit: 'FT', referenceDatum };
+            case 'M':
+                if (this.config.convertMetersToFeet === false) {
+                    return { value: Math.round(value), unit: 'M', referenceDatum };
+                }
+
+                return { value: Math.round(value * FEET_PER_METER), unit: 'FT', referenceDatum };
+            default:
+                throw new Error(`Unsupported elevation unit '${unit}' for '${this.ident}'`);
+        }
+    }
+
+    /**
+     * Reads a value with a unit of measurement, e.g. a frequency or a runway length. The unit is not converted.
+     *
+     * @param {Object} element - Element with "uom" attribute, e.g. "aixm:frequency".
+     * @param {string[]} allowedUnits
+     * @param {string} label - Name of the value used in error messages, e.g. "frequency".
+     * @return {{value: number, unit: string}|null}
+     * @protected
+     */
+    createValueWithUnit(element, allowedUnits, label) {
+        const text = element?._text?.trim();
+        if (text == null || text === '') {
+            return null;
+        }
+
+        const value = Number.parseFloat(text);
+        const unit = element._attributes?.uom?.trim().toUpperCase();
+        if (Number.isNaN(value) || allowedUnits.includes(unit) === false) {
+            throw new Error(`Invalid ${label} '${text} ${unit}' for '${this.ident}'`);
+        }
+
+        return { value, unit };
+    }
+
+    /**
+     * Converts a AIXM limit object to
+     * "{
+     *      "value": 1500,
+     *      "unit": "FT",
+     *      "referenceDatum": "MSL"
+     *  }"
+     *
+     *  Special values are mapped to "GND" (0 FT GND, also used for "FLOOR") and "UNL" (FL 999, also used for "CEILING").
+     *  Flight levels and "STD" referenced altitudes are converted to "FL". Depending on the "convertMetersToFeet" config
+     *  parameter, metric values are converted to feet. If "keepOriginalLimits" is true, the original AIXM definition is
+     *  kept in property "original".
+     *
+     * @param {Object} limit
+     * @param {Object} referenceDatum
+     * @return {Object}
+     * @protected
+     */
+    createCeiling(limit, referenceDatum) {
+        const limitValue = limit?._text?.trim();
+        const limitUnitValue = limit?._attributes?.uom?.trim().toUpperCase();
+        const referenceDatumValue = referenceDatum?._text?.trim().toUpperCase();
+
+        if (limitValue == null && limitUnitValue == null && referenceDatumValue == null) {
+            throw new Error(`Invalid ceiling definition for '${this.ident}'`);
+        }
+
+        const ceiling = this.normalizeCeiling(limitValue, limitUnitValue, referenceDatumValue);
+        if (this.config.keepOriginalLimits) {
+            ceiling.original = { value: limitValue, unit: limitUnitValue, referenceDatum: referenceDatumValue };
+        }
+
+        return ceiling;
+    }
+
+    /**
+     * Maps a AIXM "ValDistanceVerticalType" value with unit of measurement and a "CodeVerticalReferenceType"
+     * reference datum to a vertical limit.
+     *
+     * @param {string} value
+     * @param {string} unit
+     * @param {string} referenceDatum
+     * @return {{value: number, unit: string, referenceDatum: string}}
+     * @protected
+     */
+    normalizeCeiling(value, unit, referenceDatum) {
+        switch (value?.toUpperCase()) {
+            // "FLOOR" is the floor of the airspace, i.e. the lowest possible limit
+            case 'GND':
+            case 'FLOOR':
+                return { value: 0, unit: 'FT', referenceDatum: 'GND' };
+            // "CEILING" is the ceiling of the airspace, i.e. the highest possible limit
+            case 'UNL':
+            case 'CEILING':
+                return { value: 999, unit: 'FL', referenceDatum: 'STD' };
+        }
+
+        const numericValue = parseFloat(value);
+        if (Number.isFinite(numericValue) === false) {
+            throw new Error(`Invalid vertical limit value '${value}' for '${this.ident}'`);
+        }
+
+        switch (unit) {
+            case 'FL':
+                return { value: Math.round(numericValue), unit: 'FL', referenceDatum: 'STD' };
+            case 'SM':
+                // flight level in standard metres
+                return { value: Math.round((numericValue * FEET_PER_METER) / 100), unit: 'FL', referenceDatum: 'STD' };
+            case 'FT':
+            case 'M': {
+                if (referenceDatum == null && numericValue !== 0) {
+                    throw new ConversionError(
+                        `Missing vertical reference datum of limit '${value} ${unit}' for '${this.ident}'`,
+                        ERROR_CODES.INVALID_VERTICAL_LIMIT
+                    );
+                }
+                // the reference datum is optional for surface based limits
+                const mappedReferenceDatum = referenceDatum == null ? 'GND' : this.mapReferenceDatum(referenceDatum);
+                const isMetric = unit === 'M' && this.config.convertMetersToFeet === false;
+                const feet = unit === 'M' ? numericValue * FEET_PER_METER : numericValue;
+                // altitudes that are based on standard pressure are flight levels
+                if (mappedReferenceDatum === 'STD' && isMetric === false) {
+                    return { value: Math.round(feet / 100), unit: 'FL', referenceDatum: 'STD' };
+                }
+                if (isMetric) {
+                    return { value: Math.round(numericValue), unit: 'M', referenceDatum: mappedReferenceDatum };
+                }
+
+                return { value: Math.round(feet), unit: 'FT', referenceDatum: mappedReferenceDatum };
+            }
+            default:
+                throw new Error(`Unsupported vertical limit unit '${unit}' for '${this.ident}'`);
+        }
+    }
+
+    /**
+     * Maps a AIXM vertical reference to a reference datum. Also supports the AIXM 4.5 values "HEI" and "ALT".
+     *
+     * @param {string} referenceDatum
+     * @return {string}
+     * @protected
+     */
+    mapReferenceDatum(referenceDatum) {
+        switch (referenceDatum) {
+            case 'SFC':
+            case 'HEI':
+                return 'GND';
+            case 'MSL':
+            case 'ALT':
+            case 'W84':
+                return 'MSL';
+            case 'STD':
+                return 'STD';
+            default:
+                throw new Error(`Unsupported vertical reference datum '${referenceDatum}' for '${this.ident}'`);
+        }
+    }
+
+    /**
+     * Creates a GeoJSON Point geometry from a point element, e.g. "aixm:Point" or "aixm:ElevatedPoint".
+     *
+     * @param {Object} point
+     * @return {{type: string, coordinates: number[]}}
+     * @protected
+     */
+    createPointGeometry(point) {
+        const [coordinates] = this.extractCoordinates(point);
+        if (coordinates == null) {
+            throw new Error(`Missing point position for '${this.ident}'`);
+        }
+
+        return { type: 'Point', coordinates };
+    }
+
+    /**
+     * Creates a GeoJSON Polygon or MultiPolygon geometry from a AIXM airspace boundary (geometry) definition.
+     *
+     * @param {Array} boundary
+     * @return {Object}
+     * @protected
+     */
+    createPolygonFeature(boundary) {
+        // depending on the geometry type, choose specific geometry type handler
+        const geometryDefinition = boundary['gml:patches'];
+        const isPolygonPatch = boundary['gml:patches']?.['gml:PolygonPatch'] != null;
+
+        if (isPolygonPatch) {
+            return this.withReferenceSystem(boundary, () => this.createGeometryFromPolygonPatch(geometryDefinition));
+        } else {
+            throw new Error(
+                `Unsupported geometry type '${Object.values(geometryDefinition).pop()}' for '${this.ident}'`
+            );
+        }
+    }
+
+    /**
+     * Creates a geometry from one or more polygon patches. Each patch defines an exterior ring and optional interior
+     * rings (holes). A single patch results in a Polygon, multiple patches result in a MultiPolygon.
+     *
+     * @param {Object} geometryDefinition - The definition of the geometry.
+     * @return {Object}
+     */
+    createGeometryFromPolygonPatch(geometryDefinition) {
+        const polygons = [];
+        for (const polygonPatch of toArray(geometryDefinition['gml:PolygonPatch'])) {
+            const exterior = this.createRingCoordinates(polygonPatch['gml:exterior']);
+            const interiors = toArray(polygonPatch['gml:interior']).map((interior) =>
+                this.createRingCoordinates(interior)
+            );
+            polygons.push([exterior, ...interiors]);
+        }
+
+        return polygons.length === 1 ? createPolygon(polygons[0]) : createMultiPolygon(polygons);
+    }
+
+    /**
+     * Creates the closed list of coordinates of a polygon ring. The ring is either a "gml:LinearRing" or a "gml:Ring"
+     * that is built from all its curve members and their segments in document order.
+     *
+     * @param {Object} boundary - The "gml:exterior" or "gml:interior" boundary definition.
+     * @return {Array[]}
+     * @protected
+     */
+    createRingCoordinates(boundary) {
+        let coordinates = [];
+
+        const linearRing = boundary['gml:LinearRing'];
+        if (linearRing != null) {
+            coordinates = this.extractCoordinates(linearRing);
+        } else {
+            const ring = boundary['gml:Ring'];
+            if (ring == null) {
+                throw new Error(`Unsupported polygon ring definition for '${this.ident}'`);
+            }
+            const parts = toArray(ring['gml:curveMember']).map((curveMember) =>
+                this.createCurveMemberPart(curveMember)
+            );
+            parts.forEach((part, index) => {
+                // referenced curves are only used between the entry and exit point, i.e. the end of the previous
+                // and the start of the next curve member
+                if (part.isReference && parts.length > 1) {
+                    const previous = parts[(index - 1 + parts.length) % parts.length].coordinates;
+                    const next = parts[(index + 1) % parts.length].coordinates;
+                    part.coordinates = this.spliceCoordinates(part.coordinates, previous[previous.length - 1], next[0]);
+                }
+            });
+            for (const part of parts) {
+                coordinates = this.joinCoordinates(coordinates, part.coordinates);
+            }
+        }
+
+        if (coordinates.length === 0) {
+            throw new Error(`Empty polygon ring for '${this.ident}'`);
+        }
+        // close the ring if required
+        const first = coordinates[0];
+        const last = coordinates[coordinates.length - 1];
+        if (this.isSameVertex(first, last)) {
+            coordinates[coordinates.length - 1] = [...first];
+        } else {
+            coordinates.push([...first]);
+        }
+
+        return coordinates;
+    }
+
+    /**
+     * Returns the exterior ring of a surface that is referenced as a whole, e.g. by a ring's curve member. Only the
+     * first polygon patch of the surface is used.
+     *
+     * @param {Object} surface
+     * @return {Object}
+     * @protected
+     */
+    getSurfaceExterior(surface) {
+        const [polygonPatch] = toArray(surface['gml:patches']?.['gml:PolygonPatch']);
+        if (polygonPatch?.['gml:exterior'] == null) {
+            throw new Error(`Missing exterior ring of referenced surface for '${this.ident}'`);
+        }
+
+        return polygonPatch['gml:exterior'];
+    }
+
+    /**
+     * Creates the list of coordinates from all segments of a curve in document order.
+     *
+     * @param {Object} curve
+     * @return {Array[]}
+     * @protected
+     */
+    createCurveCoordinates(curve) {
+        return this.withReferenceSystem(curve, () => {
+            let coordinates = [];
+            for (const { name, element } of getChildElements(curve['gml:segments'])) {
+                coordinates = this.joinCoordinates(coordinates, this.createSegmentCoordinates(name, element));
+            }
+
+            return coordinates;
+        });
+    }
+
+    /**
+     * Creates the coordinates of a single "gml:curveMember". The curve is either defined inline or referenced
+     * with "xlink:href", e.g. a border or the curve of another airspace.
+     *
+     * @param {Object} curveMember
+     * @return {{coordinates: Array[], isReference: boolean}}
+     * @protected
+     */
+    createCurveMemberPart(curveMember) {
+        const curve = curveMember['gml:Curve'] ?? curveMember['aixm:Curve'];
+        if (curve != null) {
+            return { coordinates: this.createCurveCoordinates(curve), isReference: false };
+        }
+
+        const href = curveMember._attributes?.['xlink:href'];
+        if (href == null) {
+            throw new Error(`Unsupported curve member definition for '${this.ident}'`);
+        }
+
+        return { coordinates: this.createReferencedCoordinates(href), isReference: true };
+    }
+
+    /**
+     * Resolves a "xlink:href" reference to a curve and returns its coordinates. Supported are references to
+     * curves and surfaces by "gml:id" and references to "aixm:GeoBorder" and "aixm:Airspace" features by UUID.
+     *
+     * @param {string} href
+     * @return {Array[]}
+     * @protected
+     */
+    createReferencedCoordinates(href) {
+        const referenced = this.index.resolve(href);
+        if (referenced == null) {
+            throw new Error(`Failed to resolve reference '${href}' for '${this.ident}'`);
+        }
+        // guard against circular references, e.g. two airspaces that reference each other's boundary
+        if (this.resolvingReferences.has(referenced.element)) {
+            throw new Error(`Circular reference '${href}' for '${this.ident}'`);
+        }
+        this.resolvingReferences.add(referenced.element);
+
+        try {
+            const { name, element } = referenced;
+            switch (name) {
+                case 'gml:Curve':
+                case 'aixm:Curve':
+                    return this.createCurveCoordinates(element);
+                case 'gml:Surface':
+                case 'aixm:Surface':
+                    return this.withReferenceSystem(element, () =>
+                        this.createRingCoordinates(this.getSurfaceExterior(element))
+                    );
+                case 'aixm:GeoBorder': {
+                    const timeSlice = this.getTimeSlice(element);
+                    const curve = timeSlice?.['aixm:border']?.['aixm:Curve'];
+                    if (curve == null) {
+                        throw new Error(`Referenced border '${href}' has no curve for '${this.ident}'`);
+                    }
+
+                    return this.createCurveCoordinates(curve);
+                }
+                default:
+                    return this.createReferencedFeatureCoordinates(name, element, href);
+            }
+        } finally {
+            this.resolvingReferences.delete(referenced.element);
+        }
+    }
+
+    /**
+     * Returns the part of the coordinates that lies between the entry and the exit point. The entry and exit point
+     * are projected onto the line. If the exit point comes before the entry point, the part is reversed so that it
+     * runs from entry to exit. The projected points itself are not returned since the ring already connects to the
+     * entry and exit point.
+     *
+     * @param {Array[]} coordinates
+     * @param {number[]} entry
+     * @param {number[]} exit
+     * @return {Array[]}
+     * @protected
+     */
+    spliceCoordinates(coordinates, entry, exit) {
+        if (coordinates.length < 2 || entry == null || exit == null) {
+            return coordinates;
+        }
+
+        const line = createLineString(coordinates);
+        const entryLocation = nearestPointOnLine(line, entry).properties.location;
+        const exitLocation = nearestPointOnLine(line, exit).properties.location;
+        const spliced = lineSlice(entry, exit, line).geometry.coordinates.slice(1, -1);
+
+        return entryLocation <= exitLocation ? spliced : spliced.reverse();
+    }
+
+    /**
+     * Appends the coordinates to the given list of coordinates. If the last and the first vertex of both lists
+     * are the same, i.e. both parts share a vertex, the shared vertex is only added once.
+     *
+     * @param {Array[]} coordinates
+     * @param {Array[]} appendCoordinates
+     * @return {Array[]}
+     * @protected
+     */
+    joinCoordinates(coordinates, appendCoordinates) {
+        if (coordinates.length === 0 || appendCoordinates.length === 0) {
+            return coordinates.concat(appendCoordinates);
+        }
+
+        const last = coordinates[coordinates.length - 1];
+        if (this.isSameVertex(last, appendCoordinates[0])) {
+            return coordinates.concat(appendCoordinates.slice(1));
+        }
+
+        return coordinates.concat(appendCoordinates);
+    }
+
+    /**
+     * Two vertices are considered the same if they are within 1 meter of each other.
+     *
+     * @param {number[]} vertex
+     * @param {number[]} otherVertex
+     * @return {boolean}
+     * @protected
+     */
+    isSameVertex(vertex, otherVertex) {
+        return distance(vertex, otherVertex, { units: 'kilometers' }) < 0.001;
+    }
+
+    /**
+     * Creates the list of coordinates for a single curve segment.
+     *
+     * @param {string} segmentType - The segment element name, e.g. "gml:GeodesicString".
+     * @param {Object} segment
+     * @return {Array[]}
+     * @protected
+     */
+    createSegmentCoordinates(segmentType, segment) {
+        switch (segmentType) {
+            case 'gml:GeodesicString':
+            case 'gml:LineStringSegment':
+                return this.extractCoordinates(segment);
+            case 'gml:ArcByCenterPoint':
+                return this.createArcCoordinates(segment);
+            case 'gml:Arc':
+            case 'gml:ArcString':
+                return this.createArcStringCoordinates(segment);
+            case 'gml:CircleByCenterPoint':
+                return this.createCircleCoordinates(segment);
+            default:
+                throw new Error(`Unsupported curve segment '${segmentType}' for '${this.ident}'`);
+        }
+    }
+
+    /**
+     * Creates the coordinates of an arc from a "gml:ArcByCenterPoint" segment. Start and end angles are read as bearings
+     * measured clockwise from true north. The arc is drawn clockwise if the end angle is greater than the start angle,
+     * otherwise counter-clockwise.
+     *
+     * @param {Object} arc
+     * @return {Array[]}
+     * @protected
+     */
+    createArcCoordinates(arc) {
+        const center = this.getCenterPoint(arc);
+        const { radius, units } = this.getRadius(arc['gml:radius']);
+        const startAngle = parseFloat(arc['gml:startAngle']?._text);
+        const endAngle = parseFloat(arc['gml:endAngle']?._text);
+
+        if (Number.isFinite(startAngle) === false || Number.isFinite(endAngle) === false) {
+            throw new Error(`Invalid arc angles for '${this.ident}'`);
+        }
+
+        return this.createArcPoints(center, radius, units, startAngle, endAngle - startAngle);
+    }
+
+    /**
+     * Creates the coordinates of one or more arcs from a "gml:ArcString" (or "gml:Arc") segment. Each arc is defined
+     * by three consecutive points: start, a point on the arc and end. The end point is the start point of the next arc.
+     *
+     * @param {Object} arcString
+     * @return {Array[]}
+     * @protected
+     */
+    createArcStringCoordinates(arcString) {
+        const points = this.extractCoordinates(arcString);
+        if (points.length < 3 || points.length % 2 === 0) {
+            throw new Error(`Invalid number of arc string points for '${this.ident}'`);
+        }
+
+        let coordinates = [];
+        for (let index = 0; index + 2 < points.length; index += 2) {
+            const [start, middle, end] = points.slice(index, index + 3);
+            coordinates = this.joinCoordinates(coordinates, this.createThreePointArc(start, middle, end));
+        }
+
+        return coordinates;
+    }
+
+    /**
+     * Creates the coordinates of an arc that runs from start through middle to end point. The arc center is calculated
+     * in a local equirectangular projection which is sufficiently accurate for airspace sized arcs.
+     *
+     * @param {number[]} start
+     * @param {number[]} middle
+     * @param {number[]} end
+     * @return {Array[]}
+     * @protected
+     */
+    createThreePointArc(start, middle, end) {
+        const [originLon, originLat] = middle;
+        const scale = Math.cos((originLat * Math.PI) / 180);
+        const project = ([lon, lat]) => [(lon - originLon) * scale, lat - originLat];
+        const [ax, ay] = project(start);
+        const [bx, by] = project(middle);
+        const [cx, cy] = project(end);
+
+        // orientation of the three points, negative values are clockwise
+        const cross = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+        if (Math.abs(cross) < 1e-12) {
+            // collinear points, i.e. a straight line
+            return [start, end];
+        }
+        // circumcenter of the three points
+        const divisor = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+        const centerX =
+            ((ax * ax + ay * ay) * (by - cy) + (bx * bx + by * by) * (cy - ay) + (cx * cx + cy * cy) * (ay - by)) /
+            divisor;
+        const centerY =
+            ((ax * ax + ay * ay) * (cx - bx) + (bx * bx + by * by) * (ax - cx) + (cx * cx + cy * cy) * (bx - ax)) /
+            divisor;
+        const center = [centerX / scale + originLon, centerY + originLat];
+
+        const radius = distance(center, start, { units: 'kilometers' });
+        const startAngle = calcBearing(center, start);
+        const endAngle = calcBearing(center, end);
+        const clockwiseSweep = (((endAngle - startAngle) % 360) + 360) % 360;
+        const sweep = cross < 0 ? clockwiseSweep : clockwiseSweep - 360;
+        const coordinates = this.createArcPoints(center, radius, 'kilometers', startAngle, sweep);
+        // use the exact defined start and end points
+        coordinates[0] = start;
+        coordinates[coordinates.length - 1] = end;
+
+        return coordinates;
+    }
+
+    /**
+     * Creates the coordinates of an arc around the center, starting at the given bearing. Positive sweep values create
+     * clockwise arcs, negative sweep values counter-clockwise arcs.
+     *
+     * @param {number[]} center
+     * @param {number} radius
+     * @param {string} units
+     * @param {number} startAngle
+     * @param {number} sweep
+     * @return {Array[]}
+     * @protected
+     */
+    createArcPoints(center, radius, units, startAngle, sweep) {
+        // use the same level of detail as for a full circle, i.e. number of steps relative to the arc's sweep
+        const steps = Math.max(1, Math.ceil((this.config.geometryDetail * Math.abs(sweep)) / 360));
+        const coordinates = [];
+        for (let step = 0; step <= steps; step++) {
+            const arcBearing = startAngle + (sweep * step) / steps;
+            coordinates.push(destination(center, radius, arcBearing, { units }).geometry.coordinates);
+        }
+
+        return coordinates;
+    }
+
+    /**
+     * Creates the (closed) coordinates of a circle from a "gml:CircleByCenterPoint" segment.
+     *
+     * @param {Object} circle
+     * @return {Array[]}
+     * @protected
+     */
+    createCircleCoordinates(circle) {
+        const center = this.getCenterPoint(circle);
+        const { radius, units } = this.getRadius(circle['gml:radius']);
+
+        return createCircle(center, radius, { steps: this.config.geometryDetail, units }).geometry.coordinates[0];
+    }
+
+    /**
+     * Reads the center point of an arc or circle segment. The center is either given directly as "gml:pos" or
+     * "gml:posList" or as a referenced point in "gml:pointProperty".
+     *
+     * @param {Object} segment
+     * @return {number[]}
+     * @protected
+     */
+    getCenterPoint(segment) {
+        const point = segment['gml:pointProperty']?.['aixm:Point'] ?? segment['gml:pointProperty']?.['gml:Point'];
+        const hasPosition = segment['gml:pos'] != null || segment['gml:posList'] != null;
+        const [center] = hasPosition ? this.extractCoordinates(segment) : this.extractCoordinates(point);
+
+        if (center == null) {
+            throw new Error(`Missing center point of arc/circle for '${this.ident}'`);
+        }
+
+        return center;
+    }
+
+    /**
+     * Reads a "gml:radius" definition and maps its unit of measurement to the corresponding turf unit.
+     *
+     * @param {Object} radiusDefinition
+     * @return {{radius: number, units: string}}
+     * @protected
+     */
+    getRadius(radiusDefinition) {
+        const { value: radius, units } = this.getDistance(radiusDefinition, 'radius');
+
+        return { radius, units };
+    }
+
+    /**
+     * Reads a distance definition, e.g. a radius or width, and maps its unit of measurement to the corresponding
+     * turf unit.
+     *
+     * @param {Object} distanceDefinition
+     * @param {string} name - Name of the distance used in error messages.
+     * @return {{value: number, units: string}}
+     * @protected
+     */
+    getDistance(distanceDefinition, name) {
+        const value = parseFloat(distanceDefinition?._text);
+        const uom = distanceDefinition?._attributes?.uom?.toUpperCase();
+        const units = DISTANCE_UNITS[uom];
+
+        if (Number.isFinite(value) === false || value <= 0) {
+            throw new Error(`Invalid ${name} '${distanceDefinition?._text}' for '${this.ident}'`);
+        }
+        if (units == null) {
+            throw new Error(`Unsupported ${name} unit '${uom}' for '${this.ident}'`);
+        }
+
+        return { value, units };
+    }
+
+    /**
+     * Creates the coordinates of a referenced feature that is not a geometry element itself, e.g. another airspace.
+     * Converters that support such references override this method.
+     *
+     * @param {string} name
+     * @param {Object} element
+     * @param {string} href
+     * @return {Array[]}
+     * @protected
+     */
+    createReferencedFeatureCoordinates(name, element, href) {
+        throw new Error(`Unsupported reference '${href}' to '${name}' for '${this.ident}'`);
+    }
+
+    /**
+     * Extracts "longitude latitude" coordinates from all "gml:pos" and "gml:posList" elements of a geometry element in
+     * document order. The axis order is defined by the "srsName" of the positions or the closest geometry element
+     * that defines one. Positions without "srsName" are read as "longitude latitude". Heights of three-dimensional
+     * positions are ignored.
+     *
+     * @param {Object} element - A geometry element, e.g. "aixm:Point", "gml:LinearRing" or a curve segment.
+     * @return {Array[]}
+     * @protected
+     */
+    extractCoordinates(element) {
+        return this.withReferenceSystem(element, () =>
+            getChildElements(element)
+                .filter(({ name }) => name === 'gml:pos' || name === 'gml:posList')
+                .flatMap(({ name, element: positions }) =>
+                    this.withReferenceSystem(positions, () => this.parsePositions(positions, name === 'gml:posList'))
+                )
+        );
+    }
+
+    /**
+     * Parses the text of a "gml:pos" or "gml:posList" element. The number of values of each position in a
+     * "gml:posList" is defined by "srsDimension" and defaults to 2.
+     *
+     * @param {Object} positions
+     * @param {boolean} isList
+     * @return {Array[]}
+     * @protected
+     */
+    parsePositions(positions, isList) {
+        const { srsName, srsDimension } = this.getReferenceSystem();
+        const text = positions._text?.trim() ?? '';
+        const values = text === '' ? [] : text.split(/\s+/).map((value) => Number.parseFloat(value));
+        const dimension = isList ? Number.parseInt(srsDimension ?? 2, 10) : values.length;
+
+        if (
+            [2, 3].includes(dimension) === false ||
+            values.length % dimension !== 0 ||
+            values.every(Number.isFinite) === false
+        ) {
+            throw new Error(`Invalid position '${text}' for '${this.ident}'`);
+        }
+
+        const isLatitudeFirst = this.isLatitudeFirst(srsName);
+        const coordinates = [];
+        for (let index = 0; index < values.length; index += dimension) {
+            const [first, second] = values.slice(index, index + 2);
+            coordinates.push(isLatitudeFirst ? [second, first] : [first, second]);
+        }
+
+        return coordinates;
+    }
+
+    /**
+     * Checks the axis order of a CRS. Only WGS 84 based CRSs are supported.
+     *
+     * @param {string|null} srsName
+     * @return {boolean}
+     * @protected
+     */
+    isLatitudeFirst(srsName) {
+        if (srsName == null || LON_LAT_CRS.some((crs) => crs.test(srsName))) {
+            return false;
+        }
+        if (LAT_LON_CRS.some((crs) => crs.test(srsName))) {
+            return true;
+        }
+
+        throw new Error(
+            `Unsupported CRS '${srsName}' for '${this.ident}'. Only WGS 84 (EPSG:4326 or CRS84) is supported.`
+        );
+    }
+
+    /**
+     * Runs the callback with the reference system, i.e. "srsName" and "srsDimension", of the given geometry element.
+     * Elements that do not define a reference system inherit the reference system of their closest ancestor.
+     *
+     * @param {Object} element
+     * @param {Function} callback
+     * @return {*} The callback's return value.
+     * @protected
+     */
+    withReferenceSystem(element, callback) {
+        const { srsName, srsDimension } = element?._attributes ?? {};
+        if (srsName == null && srsDimension == null) {
+            return callback();
+        }
+
+        const current = this.getReferenceSystem();
+        this.referenceSystems.push({
+            srsName: srsName ?? current.srsName,
+            srsDimension: srsDimension ?? current.srsDimension,
+        });
+        try {
+            return callback();
+        } finally {
+            this.referenceSystems.pop();
+        }
+    }
+
+    /**
+     * @return {{srsName: string|null, srsDimension: string|null}}
+     * @protected
+     */
+    getReferenceSystem() {
+        return this.referenceSystems[this.referenceSystems.length - 1] ?? { srsName: null, srsDimension: null };
+    }
+
+    /**
+     * @return {void}
+     * @protected
+     */
+    reset() {
+        this.ident = null;
+    }
+}
+
+module.exports = { BaseConverter, FEET_PER_METER, UNMAPPED_VALUES_OPTIONS, SKIP_REASONS };
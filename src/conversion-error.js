@@ -0,0 +1,29 @@
+// categories of errors that prevent a single feature from being converted
+const ERROR_CODES = {
+    UNMAPPED_VALUE: 'UNMAPPED_VALUE',
+    INVALID_VERTICAL_LIMIT: 'INVALID_VERTICAL_LIMIT',
+    INVALID_ACTIVATION_PERIOD: 'INVALID_ACTIVATION_PERIOD',
+    INVALID_GEOMETRY: 'INVALID_GEOMETRY',
+    CONVERSION_ERROR: 'CONVERSION_ERROR',
+};
+
+/**
+ * Error that prevents a single feature from being converted. Besides the message, the error defines a code that
+ * categorizes the error and the XPath-like location of the element that caused the error, relative to the feature.
+ */
+class ConversionError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - One of "ERROR_CODES".
+     * @param {string|null} [location] - Location relative to the feature, e.g. "aixm:timeSlice/aixm:AirspaceTimeSlice/aixm:type".
+     */
+    constructor(message, code, location = null) {
+        super(message);
+
+        this.name = 'ConversionError';
+        this.code = code;
+        this.location = location;
+    }
+}
+
+module.exports = { ConversionError, ERROR_CODES };
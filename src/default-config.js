@@ -7,4 +7,16 @@ module.exports = {
     geometryDetail: 100,
     // If true, the created GEOJSON is validated against the underlying schema to enforce compatibility. If not true, simply warns on console about schema mismatch.
     strictSchemaValidation: false,
+    // If true, vertical limits defined in meters are converted to feet. If false, the unit "M" is kept.
+    convertMetersToFeet: true,
+    // If true, the original AIXM vertical limit definition is kept in property "original" of each converted limit.
+    keepOriginalLimits: false,
+    // Language of the AIXM notes that is used for remarks if a note is available in multiple languages.
+    preferredLanguage: 'ENG',
+    // Profile that maps AIXM airspace types, local types and classes. Either a built-in profile name, a path to a JSON file or a profile object.
+    mappingProfile: 'national',
+    // Defines how unmapped airspace types and classes are handled, either "error", "passThrough" or "skip".
+    unmappedValues: 'error',
+    // If true, features that fail to convert are skipped and reported in the diagnostics instead of aborting the conversion.
+    continueOnError: false,
 };
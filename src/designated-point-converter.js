@@ -0,0 +1,82 @@
+const cleanDeep = require('clean-deep');
+
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const DESIGNATED_POINT_SCHEMA = require('../schemas/designated-point-geojson-schema.json');
+// AIXM "CodeDesignatedPointType" values, "OTHER" can be followed by a custom type, e.g. "OTHER:VFR_RP"
+const DESIGNATED_POINT_TYPES = ['ICAO', 'COORD', 'CNF', 'DESIGNED', 'MTR', 'TERMINAL', 'BRG_DIST', 'OTHER'];
+
+/**
+ * Converts AIXM "aixm:DesignatedPoint" features, e.g. ICAO 5-letter fixes or VFR reporting points, to GeoJSON Point
+ * features.
+ */
+class DesignatedPointConverter extends BaseConverter {
+    /**
+     * @param {Object} [config] - See "BaseConverter" for available config parameters.
+     */
+    constructor(config) {
+        super(config, DESIGNATED_POINT_SCHEMA, 'aixm:DesignatedPoint');
+    }
+
+    /**
+     * Creates a Point feature for a designated point. The point's "gml:identifier" and "gml:id" are kept so that
+     * references from other features, e.g. "urn:uuid:..." or "#ID_123", can be matched to the point.
+     *
+     * @param {Object} pointJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(pointJson, options) {
+        const { validityWindow } = options;
+
+        const point = pointJson['aixm:DesignatedPoint'];
+        const properties = this.getTimeSlice(point);
+        // point does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return [];
+        }
+        const identifier = point['gml:identifier']?._text?.trim();
+        const gmlId = point._attributes?.['gml:id'];
+        const designator = properties['aixm:designator']?._text?.trim();
+        const name = properties['aixm:name']?._text?.trim();
+        const type = properties['aixm:type']?._text?.trim().toUpperCase();
+        const featureLifetime = properties['aixm:featureLifetime'];
+
+        // set identifier for error messages
+        this.ident = `${designator} ${name} (${identifier})`;
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return [];
+        }
+        const activationPeriod = featureLifetime == null ? null : this.createActivationPeriod(featureLifetime);
+        if (type != null && DESIGNATED_POINT_TYPES.includes(type.split(':')[0]) === false) {
+            throw new Error(`Unknown designated point type '${type}' for designated point '${this.ident}'`);
+        }
+
+        const location = properties['aixm:location'];
+        const locationPoint = location?.['aixm:Point'] ?? location?.['aixm:ElevatedPoint'];
+        if (locationPoint == null) {
+            throw new Error(`Missing location for designated point '${this.ident}'`);
+        }
+        const geometry = this.createPointGeometry(locationPoint);
+
+        const pointFeature = {
+            type: 'Feature',
+            properties: {
+                identifier,
+                gmlId,
+                designator,
+                name,
+                type,
+                activationPeriod,
+            },
+            geometry,
+        };
+        // IMPORTANT reset internal state for next designated point
+        this.reset();
+
+        return [cleanDeep(pointFeature)];
+    }
+}
+
+module.exports = { DesignatedPointConverter };
@@ -0,0 +1,82 @@
+const checkTypes = require('check-types');
+const fs = require('node:fs');
+
+const BUILT_IN_PROFILES = {
+    openaip: require('../profiles/openaip-profile.json'),
+    national: require('../profiles/national-profile.json'),
+};
+const MAPPINGS = ['types', 'localTypes', 'classes'];
+
+/**
+ * Loads a profile that maps AIXM airspace types, local types and classes to output values. A profile is either the
+ * name of a built-in profile ("openaip" or "national"), a path to a JSON file or a profile object, e.g.
+ *
+ * {
+ *     "extends": "openaip",
+ *     "types": { "TSA": "RESTRICTED" },
+ *     "localTypes": { "TMZ": "TMZ" },
+ *     "classes": { "NO": "UNCLASSIFIED" },
+ *     "defaultClass": "UNCLASSIFIED"
+ * }
+ *
+ * A profile can extend another profile. Mappings of the extending profile take precedence.
+ *
+ * @param {string|Object} profile
+ * @return {{types: Object, localTypes: Object, classes: Object, defaultClass: string|null}}
+ */
+function loadMappingProfile(profile) {
+    return resolveProfile(profile, []);
+}
+
+/**
+ * @param {string|Object} profile
+ * @param {string[]} extendedProfiles - Names of the profiles that are already resolved, used to detect circular extends.
+ * @return {{types: Object, localTypes: Object, classes: Object, defaultClass: string|null}}
+ */
+function resolveProfile(profile, extendedProfiles) {
+    const definition = checkTypes.string(profile) ? BUILT_IN_PROFILES[profile] ?? readProfileFile(profile) : profile;
+    if (checkTypes.object(definition) === false) {
+        throw new Error(`Invalid mapping profile '${profile}'`);
+    }
+    for (const mapping of MAPPINGS) {
+        const values = definition[mapping] ?? {};
+        if (checkTypes.object(values) === false || Object.values(values).every(checkTypes.nonEmptyString) === false) {
+            throw new Error(`Invalid mapping profile: '${mapping}' must map AIXM values to strings`);
+        }
+    }
+    if (definition.defaultClass != null && checkTypes.nonEmptyString(definition.defaultClass) === false) {
+        throw new Error("Invalid mapping profile: 'defaultClass' must be a string");
+    }
+
+    let base = { types: {}, localTypes: {}, classes: {}, defaultClass: null };
+    if (definition.extends != null) {
+        if (extendedProfiles.includes(definition.extends)) {
+            throw new Error(`Invalid mapping profile: circular extends of profile '${definition.extends}'`);
+        }
+        base = resolveProfile(definition.extends, [...extendedProfiles, definition.extends]);
+    }
+
+    return {
+        types: { ...base.types, ...definition.types },
+        localTypes: { ...base.localTypes, ...definition.localTypes },
+        classes: { ...base.classes, ...definition.classes },
+        defaultClass: definition.defaultClass ?? base.defaultClass,
+    };
+}
+
+/**
+ * @param {string} filepath
+ * @return {Object}
+ */
+function readProfileFile(filepath) {
+    if (fs.existsSync(filepath) === false) {
+        throw new Error(`Unknown mapping profile '${filepath}'. Profile is neither a built-in profile nor a file.`);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Invalid mapping profile file '${filepath}': ${e.message}`);
+    }
+}
+
+module.exports = { loadMappingProfile };
@@ -0,0 +1,75 @@
+const sax = require('sax');
+
+const { parseXml, declareNamespaces, normalizeName } = require('./xml-utils');
+
+const MEMBER_NAME = 'message:hasMember';
+
+/**
+ * Reads the "message:hasMember" elements of an AIXM message incrementally from a stream. Each member is parsed into
+ * the xml-js "compact" format as soon as it is completely read, i.e. only the member that is currently read is kept
+ * in memory. Each member is returned with its position in the message, starting at 1.
+ *
+ * @param {import('node:stream').Readable} readable
+ * @param {string[]} [featureNames] - If given, only members that contain one of these features are returned, e.g. "aixm:Airspace".
+ * @return {AsyncGenerator<{position: number, member: Object}>}
+ */
+async function* readMembers(readable, featureNames) {
+    const parser = sax.parser(true);
+    // text of the current member, starting at the absolute character position "offset" of the document
+    let pending = '';
+    let offset = 0;
+    // declared namespaces of all open elements, the root element's namespaces apply to all members
+    const scopes = [{}];
+    let depth = 0;
+    let memberStart = null;
+    let position = 0;
+    let skipMember = false;
+    let members = [];
+
+    parser.onerror = (e) => {
+        throw new Error(`Invalid XML: ${e.message}`);
+    };
+    parser.onopentag = (tag) => {
+        depth++;
+        const namespaces = declareNamespaces(scopes[scopes.length - 1], tag.attributes);
+        scopes.push(namespaces);
+        const name = normalizeName(tag.name, namespaces);
+        // members are direct children of the "message:AIXMBasicMessage" root element
+        if (depth === 2 && name === MEMBER_NAME) {
+            memberStart = parser.startTagPosition - 1;
+            position++;
+            skipMember = false;
+        }
+        if (depth === 3 && memberStart != null && featureNames != null) {
+            skipMember = featureNames.includes(name) === false;
+        }
+    };
+    parser.onclosetag = () => {
+        if (depth === 2 && memberStart != null) {
+            if (skipMember === false) {
+                const xml = pending.slice(memberStart - offset, parser.position - offset);
+                // the member's own namespace declarations are part of the parsed XML
+                members.push({ position, member: parseXml(xml, scopes[1])[MEMBER_NAME] });
+            }
+            memberStart = null;
+        }
+        scopes.pop();
+        depth--;
+    };
+
+    readable.setEncoding('utf-8');
+    for await (const chunk of readable) {
+        pending += chunk;
+        parser.write(chunk);
+        // drop all text that is not part of the current member, a member's start tag may be split across chunks
+        const keepFrom = memberStart ?? Math.max(offset, parser.startTagPosition - 1);
+        pending = pending.slice(keepFrom - offset);
+        offset = keepFrom;
+
+        yield* members;
+        members = [];
+    }
+    parser.close();
+}
+
+module.exports = { readMembers };
@@ -0,0 +1,166 @@
+const cleanDeep = require('clean-deep');
+
+const { toArray } = require('./xml-utils');
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const NAVAID_SCHEMA = require('../schemas/navaid-geojson-schema.json');
+// AIXM "CodeNavaidServiceType" values
+const NAVAID_TYPES = [
+    'VOR',
+    'DME',
+    'NDB',
+    'TACAN',
+    'MKR',
+    'ILS',
+    'ILS_DME',
+    'MLS',
+    'MLS_DME',
+    'VORTAC',
+    'VOR_DME',
+    'NDB_DME',
+    'TLS',
+    'LOC',
+    'LOC_DME',
+    'NDB_MKR',
+    'DF',
+    'SDF',
+    'OTHER',
+];
+// maps AIXM navaid equipment features to equipment types
+const EQUIPMENT_TYPES = {
+    'aixm:VOR': 'VOR',
+    'aixm:DME': 'DME',
+    'aixm:NDB': 'NDB',
+    'aixm:TACAN': 'TACAN',
+    'aixm:Localizer': 'LOCALIZER',
+    'aixm:Glidepath': 'GLIDEPATH',
+    'aixm:MarkerBeacon': 'MARKER',
+    'aixm:Azimuth': 'AZIMUTH',
+    'aixm:Elevation': 'ELEVATION',
+    'aixm:DirectionFinder': 'DIRECTION_FINDER',
+    'aixm:SDF': 'SDF',
+};
+const FREQUENCY_UNITS = ['HZ', 'KHZ', 'MHZ', 'GHZ'];
+
+/**
+ * Converts AIXM navaids, i.e. "aixm:Navaid" features and their referenced "aixm:NavaidEquipment" features, to
+ * GeoJSON Point features.
+ */
+class NavaidConverter extends BaseConverter {
+    /**
+     * @param {Object} [config] - See "BaseConverter" for available config parameters.
+     */
+    constructor(config) {
+        super(config, NAVAID_SCHEMA, 'aixm:Navaid', Object.keys(EQUIPMENT_TYPES));
+    }
+
+    /**
+     * Creates a Point feature for a navaid. Frequency, channel and magnetic variation are read from the navaid's
+     * equipment.
+     *
+     * @param {Object} navaidJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(navaidJson, options) {
+        const { validityWindow } = options;
+
+        const navaid = navaidJson['aixm:Navaid'];
+        const properties = this.getTimeSlice(navaid);
+        // navaid does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return [];
+        }
+        const identifier = navaid['gml:identifier']?._text?.trim();
+        const designator = properties['aixm:designator']?._text?.trim();
+        const name = properties['aixm:name']?._text?.trim();
+        const type = properties['aixm:type']?._text?.trim().toUpperCase();
+        const featureLifetime = properties['aixm:featureLifetime'];
+
+        // set identifier for error messages
+        this.ident = `${designator} ${name} (${identifier})`;
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return [];
+        }
+        const activationPeriod = featureLifetime == null ? null : this.createActivationPeriod(featureLifetime);
+        if (NAVAID_TYPES.includes(type) === false) {
+            throw new Error(`Unknown navaid type '${type}' for navaid '${this.ident}'`);
+        }
+
+        const equipment = this.getEquipment(properties);
+        // the navaid's location is optional, use the location of the first equipment instead
+        const location =
+            properties['aixm:location']?.['aixm:ElevatedPoint'] ??
+            equipment.find((component) => component.location != null)?.location;
+        if (location == null) {
+            throw new Error(`Missing location for navaid '${this.ident}'`);
+        }
+        const geometry = this.createPointGeometry(location);
+        const elevation = this.createElevation(location['aixm:elevation']);
+        const frequency = equipment.find((component) => component.frequency != null)?.frequency;
+        const channel = equipment.find((component) => component.channel != null)?.channel;
+        const magneticVariation = equipment.find((component) => component.magneticVariation != null)?.magneticVariation;
+
+        const pointFeature = {
+            type: 'Feature',
+            properties: {
+                identifier,
+                designator,
+                name,
+                type,
+                frequency,
+                channel,
+                magneticVariation,
+                elevation,
+                activationPeriod,
+                equipment: equipment.map((component) => ({
+                    identifier: component.identifier,
+                    type: component.type,
+                    designator: component.designator,
+                    frequency: component.frequency,
+                    channel: component.channel,
+                })),
+            },
+            geometry,
+        };
+        // IMPORTANT reset internal state for next navaid
+        this.reset();
+
+        return [cleanDeep(pointFeature)];
+    }
+
+    /**
+     * Resolves all equipment referenced by the navaid's "aixm:NavaidComponent" entries.
+     *
+     * @param {Object} timeSlice
+     * @return {Object[]}
+     * @private
+     */
+    getEquipment(timeSlice) {
+        return toArray(timeSlice['aixm:navaidEquipment']).map((navaidEquipment) => {
+            const href =
+                navaidEquipment['aixm:NavaidComponent']?.['aixm:theNavaidEquipment']?._attributes?.['xlink:href'];
+            const referenced = this.index.resolve(href);
+            if (referenced == null || EQUIPMENT_TYPES[referenced.name] == null) {
+                throw new Error(`Failed to resolve navaid equipment '${href}' for navaid '${this.ident}'`);
+            }
+
+            const { name, element } = referenced;
+            const equipmentTimeSlice = this.getTimeSlice(element) ?? {};
+            const magneticVariation = Number.parseFloat(equipmentTimeSlice['aixm:magneticVariation']?._text);
+
+            return {
+                identifier: element['gml:identifier']?._text?.trim(),
+                type: EQUIPMENT_TYPES[name],
+                designator: equipmentTimeSlice['aixm:designator']?._text?.trim(),
+                frequency: this.createValueWithUnit(equipmentTimeSlice['aixm:frequency'], FREQUENCY_UNITS, 'frequency'),
+                channel: equipmentTimeSlice['aixm:channel']?._text?.trim(),
+                magneticVariation: Number.isNaN(magneticVariation) ? null : magneticVariation,
+                location: equipmentTimeSlice['aixm:location']?.['aixm:ElevatedPoint'],
+            };
+        });
+    }
+}
+
+module.exports = { NavaidConverter };
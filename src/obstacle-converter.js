@@ -0,0 +1,155 @@
+const cleanDeep = require('clean-deep');
+
+const { toArray } = require('./xml-utils');
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const OBSTACLE_SCHEMA = require('../schemas/obstacle-geojson-schema.json');
+
+/**
+ * Converts AIXM "aixm:VerticalStructure" features, i.e. obstacles, to GeoJSON features. Each vertical structure part
+ * results in a separate Point, LineString or Polygon feature depending on the part's horizontal projection.
+ */
+class ObstacleConverter extends BaseConverter {
+    /**
+     * @param {Object} [config] - See "BaseConverter" for available config parameters.
+     */
+    constructor(config) {
+        super(config, OBSTACLE_SCHEMA, 'aixm:VerticalStructure');
+    }
+
+    /**
+     * Creates one feature for each part of the vertical structure. If the structure consists of multiple parts, each
+     * feature has its own identifier and references the structure's identifier as "parentIdentifier".
+     *
+     * @param {Object} structureJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(structureJson, options) {
+        const { validityWindow } = options;
+        const features = [];
+
+        const structure = structureJson['aixm:VerticalStructure'];
+        const properties = this.getTimeSlice(structure);
+        // obstacle does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return features;
+        }
+        const identifier = structure['gml:identifier']?._text?.trim();
+        const name = properties['aixm:name']?._text?.trim();
+        const type = properties['aixm:type']?._text?.trim().toUpperCase();
+        const featureLifetime = properties['aixm:featureLifetime'];
+        const parts = toArray(properties['aixm:part']).map((part) => part['aixm:VerticalStructurePart']);
+
+        // set identifier for error messages
+        this.ident = `${name} (${identifier})`;
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return features;
+        }
+        const activationPeriod = featureLifetime == null ? null : this.createActivationPeriod(featureLifetime);
+        if (parts.length === 0) {
+            throw new Error(`Missing vertical structure parts for obstacle '${this.ident}'`);
+        }
+
+        const lighted = this.parseBoolean(properties['aixm:lighted']);
+        const lightingIcaoStandard = this.parseBoolean(properties['aixm:lightingICAOStandard']);
+        const markingIcaoStandard = this.parseBoolean(properties['aixm:markingICAOStandard']);
+
+        for (const [index, part] of parts.entries()) {
+            const { geometry, elevation } = this.createPartGeometry(part);
+            const lights = toArray(part['aixm:lighting'])
+                .map((lightingProperty) => lightingProperty['aixm:LightElement'])
+                .filter((lightElement) => lightElement != null)
+                .map((lightElement) => ({
+                    colour: lightElement['aixm:colour']?._text?.trim().toUpperCase(),
+                    intensity: lightElement['aixm:intensityLevel']?._text?.trim().toUpperCase(),
+                    type: lightElement['aixm:type']?._text?.trim().toUpperCase(),
+                }));
+            // obstacles consisting of multiple parts are split into separate features that share the obstacle's identifier
+            const isSplit = parts.length > 1;
+            const obstacleFeature = {
+                type: 'Feature',
+                properties: {
+                    identifier: isSplit ? `${identifier}_${index + 1}` : identifier,
+                    parentIdentifier: isSplit ? identifier : null,
+                    name,
+                    designator: part['aixm:designator']?._text?.trim(),
+                    type: part['aixm:type']?._text?.trim().toUpperCase() ?? type,
+                    elevation,
+                    height: this.createElevation(part['aixm:verticalExtent'], 'GND'),
+                    lighted: lighted ?? lights.length > 0,
+                    lighting: { icaoStandard: lightingIcaoStandard, lights },
+                    marking: {
+                        icaoStandard: markingIcaoStandard,
+                        pattern: part['aixm:markingPattern']?._text?.trim().toUpperCase(),
+                        firstColour: part['aixm:markingFirstColour']?._text?.trim().toUpperCase(),
+                        secondColour: part['aixm:markingSecondColour']?._text?.trim().toUpperCase(),
+                    },
+                    activationPeriod,
+                },
+                geometry,
+            };
+
+            features.push(cleanDeep(obstacleFeature));
+        }
+        // IMPORTANT reset internal state for next obstacle
+        this.reset();
+
+        return features;
+    }
+
+    /**
+     * Creates the geometry of a vertical structure part from its horizontal projection. The elevation of the
+     * projection is the elevation of the top of the part.
+     *
+     * @param {Object} part
+     * @return {{geometry: Object, elevation: Object|null}}
+     * @private
+     */
+    createPartGeometry(part) {
+        const point = part['aixm:horizontalProjection_location']?.['aixm:ElevatedPoint'];
+        if (point != null) {
+            return {
+                geometry: this.createPointGeometry(point),
+                elevation: this.createElevation(point['aixm:elevation']),
+            };
+        }
+
+        const curve = part['aixm:horizontalProjection_linearExtent']?.['aixm:ElevatedCurve'];
+        if (curve != null) {
+            return {
+                geometry: { type: 'LineString', coordinates: this.createCurveCoordinates(curve) },
+                elevation: this.createElevation(curve['aixm:elevation']),
+            };
+        }
+
+        const surface = part['aixm:horizontalProjection_surfaceExtent']?.['aixm:ElevatedSurface'];
+        if (surface != null) {
+            return {
+                geometry: this.createPolygonFeature(surface).geometry,
+                elevation: this.createElevation(surface['aixm:elevation']),
+            };
+        }
+
+        throw new Error(`Missing horizontal projection of vertical structure part for obstacle '${this.ident}'`);
+    }
+
+    /**
+     * Parses an AIXM "CodeYesNoType" value.
+     *
+     * @param {Object} value
+     * @return {boolean|null}
+     * @private
+     */
+    parseBoolean(value) {
+        const text = value?._text?.trim().toUpperCase();
+        if (text == null || text === '') {
+            return null;
+        }
+
+        return text === 'YES';
+    }
+}
+
+module.exports = { ObstacleConverter };
@@ -0,0 +1,191 @@
+const cleanDeep = require('clean-deep');
+
+const { toArray } = require('./xml-utils');
+const { BaseConverter, SKIP_REASONS } = require('./base-converter');
+const ROUTE_SCHEMA = require('../schemas/route-geojson-schema.json');
+// maps the AIXM "pointChoice" properties of a route segment point to the referenced feature types
+const POINT_CHOICES = {
+    'aixm:pointChoice_fixDesignatedPoint': { name: 'aixm:DesignatedPoint', type: 'DESIGNATED_POINT' },
+    'aixm:pointChoice_navaidSystem': { name: 'aixm:Navaid', type: 'NAVAID' },
+};
+const WIDTH_UNITS = ['NM', 'KM', 'M', 'FT'];
+
+/**
+ * Converts AIXM "aixm:RouteSegment" features to GeoJSON LineString features. The start and end points of each
+ * segment are resolved to the referenced "aixm:DesignatedPoint" or "aixm:Navaid" features, the route designator is
+ * read from the referenced "aixm:Route" feature.
+ */
+class RouteConverter extends BaseConverter {
+    /**
+     * @param {Object} [config] - See "BaseConverter" for available config parameters.
+     */
+    constructor(config) {
+        super(config, ROUTE_SCHEMA, 'aixm:RouteSegment', [
+            'aixm:Route',
+            ...Object.values(POINT_CHOICES).map((choice) => choice.name),
+        ]);
+    }
+
+    /**
+     * Creates a LineString feature for a route segment. If the segment defines a "aixm:curveExtent", the curve is used
+     * as geometry, otherwise a straight line from the start to the end point is created.
+     *
+     * @param {Object} segmentJson
+     * @param {Object} options
+     * @return {Promise<Object[]>}
+     */
+    async createFeatures(segmentJson, options) {
+        const { validityWindow } = options;
+
+        const segment = segmentJson['aixm:RouteSegment'];
+        const properties = this.getTimeSlice(segment);
+        // route segment does not exist at the effective date
+        if (properties == null) {
+            this.skipFeature(SKIP_REASONS.NOT_EFFECTIVE);
+
+            return [];
+        }
+        const identifier = segment['gml:identifier']?._text?.trim();
+        const featureLifetime = properties['aixm:featureLifetime'];
+
+        // set identifier for error messages, the route designator is added once the route is resolved
+        this.ident = identifier;
+        const route = this.getRoute(properties['aixm:routeFormed']);
+        this.ident = `${route.designator} (${identifier})`;
+        if (this.isOutsideValidityWindow(featureLifetime, validityWindow)) {
+            return [];
+        }
+        const activationPeriod = featureLifetime == null ? null : this.createActivationPeriod(featureLifetime);
+
+        const start = this.getSegmentPoint(properties['aixm:start'], 'start');
+        const end = this.getSegmentPoint(properties['aixm:end'], 'end');
+        const curve = properties['aixm:curveExtent']?.['aixm:Curve'];
+        const coordinates =
+            curve == null ? [start.geometry.coordinates, end.geometry.coordinates] : this.createCurveCoordinates(curve);
+        // lower and upper limits are optional, e.g. if the limits are only defined for the route's availability
+        const upperLimit = properties['aixm:upperLimit'];
+        const lowerLimit = properties['aixm:lowerLimit'];
+
+        const lineFeature = {
+            type: 'Feature',
+            properties: {
+                identifier,
+                routeIdentifier: route.identifier,
+                designator: route.designator,
+                name: route.name,
+                type: route.type,
+                flightRule: route.flightRule,
+                level: properties['aixm:level']?._text?.trim().toUpperCase(),
+                start: { identifier: start.identifier, designator: start.designator, type: start.type },
+                end: { identifier: end.identifier, designator: end.designator, type: end.type },
+                upperCeiling:
+                    upperLimit == null ? null : this.createCeiling(upperLimit, properties['aixm:upperLimitReference']),
+                lowerCeiling:
+                    lowerLimit == null ? null : this.createCeiling(lowerLimit, properties['aixm:lowerLimitReference']),
+                availability: this.createAvailability(properties),
+                width: {
+                    left: this.createValueWithUnit(properties['aixm:widthLeft'], WIDTH_UNITS, 'width'),
+                    right: this.createValueWithUnit(properties['aixm:widthRight'], WIDTH_UNITS, 'width'),
+                },
+                activationPeriod,
+            },
+            geometry: { type: 'LineString', coordinates },
+        };
+        // IMPORTANT reset internal state for next route segment
+        this.reset();
+
+        return [cleanDeep(lineFeature)];
+    }
+
+    /**
+     * Resolves the route that a segment is part of. The route designator is built from the designator prefix,
+     * second letter, number and multiple identifier, e.g. "UL613".
+     *
+     * @param {Object} routeFormed
+     * @return {{identifier: string, designator: string, name: string, type: string, flightRule: string}}
+     * @private
+     */
+    getRoute(routeFormed) {
+        const href = routeFormed?._attributes?.['xlink:href'];
+        const referenced = this.index.resolve(href);
+        if (referenced == null || referenced.name !== 'aixm:Route') {
+            throw new Error(`Failed to resolve route '${href}' for route segment '${this.ident}'`);
+        }
+
+        const route = referenced.element;
+        const timeSlice = this.getTimeSlice(route) ?? {};
+        const designator = [
+            'aixm:designatorPrefix',
+            'aixm:designatorSecondLetter',
+            'aixm:designatorNumber',
+            'aixm:multipleIdentifier',
+        ]
+            .map((key) => timeSlice[key]?._text?.trim() ?? '')
+            .join('');
+
+        return {
+            identifier: route['gml:identifier']?._text?.trim(),
+            designator: designator === '' ? timeSlice['aixm:name']?._text?.trim() : designator,
+            name: timeSlice['aixm:name']?._text?.trim(),
+            type: timeSlice['aixm:type']?._text?.trim().toUpperCase(),
+            flightRule: timeSlice['aixm:flightRule']?._text?.trim().toUpperCase(),
+        };
+    }
+
+    /**
+     * Resolves the designated point or navaid referenced by the "aixm:EnRouteSegmentPoint" of a route segment.
+     *
+     * @param {Object} segmentPoint - The "aixm:start" or "aixm:end" property.
+     * @param {string} name - Name of the point used in error messages.
+     * @return {{identifier: string, designator: string, type: string, geometry: Object}}
+     * @private
+     */
+    getSegmentPoint(segmentPoint, name) {
+        const enRoutePoint = segmentPoint?.['aixm:EnRouteSegmentPoint'];
+        const choice = Object.keys(POINT_CHOICES).find((key) => enRoutePoint?.[key] != null);
+        if (choice == null) {
+            throw new Error(`Missing ${name} point for route segment '${this.ident}'`);
+        }
+
+        const href = enRoutePoint[choice]._attributes?.['xlink:href'];
+        const referenced = this.index.resolve(href);
+        if (referenced == null || referenced.name !== POINT_CHOICES[choice].name) {
+            throw new Error(`Failed to resolve ${name} point '${href}' for route segment '${this.ident}'`);
+        }
+
+        const timeSlice = this.getTimeSlice(referenced.element) ?? {};
+        const location = timeSlice['aixm:location'];
+        const locationPoint = location?.['aixm:Point'] ?? location?.['aixm:ElevatedPoint'];
+        if (locationPoint == null) {
+            throw new Error(`Missing location of ${name} point '${href}' for route segment '${this.ident}'`);
+        }
+
+        return {
+            identifier: referenced.element['gml:identifier']?._text?.trim(),
+            designator: timeSlice['aixm:designator']?._text?.trim(),
+            type: POINT_CHOICES[choice].type,
+            geometry: this.createPointGeometry(locationPoint),
+        };
+    }
+
+    /**
+     * Reads the direction restrictions of a route segment from its "aixm:RouteAvailability" entries, e.g. a segment
+     * that is only open in "FORWARD" direction, i.e. from start to end point.
+     *
+     * @param {Object} timeSlice
+     * @return {{status: string, direction: string, cardinalDirection: string}[]}
+     * @private
+     */
+    createAvailability(timeSlice) {
+        return toArray(timeSlice['aixm:availability'])
+            .map((availability) => availability['aixm:RouteAvailability'])
+            .filter((availability) => availability != null)
+            .map((availability) => ({
+                status: availability['aixm:status']?._text?.trim().toUpperCase(),
+                direction: availability['aixm:direction']?._text?.trim().toUpperCase(),
+                cardinalDirection: availability['aixm:cardinalDirection']?._text?.trim().toUpperCase(),
+            }));
+    }
+}
+
+module.exports = { RouteConverter };
@@ -0,0 +1,44 @@
+const checkTypes = require('check-types');
+const yaml = require('js-yaml');
+
+/**
+ * Parses a "service.yaml" file that defines ground services for airspaces that have no service in the AIXM data, e.g.
+ *
+ * services:
+ *   - designator: LSZH CTR
+ *     callsign: ZURICH TOWER
+ *     frequency: '118.100'
+ *
+ * Each service is matched to an airspace by its "identifier" (the airspace's "gml:identifier") or its "designator".
+ *
+ * @param {Buffer} buffer
+ * @return {{identifier: string|null, designator: string|null, callsign: string, frequency: string}[]}
+ */
+function parseServiceFile(buffer) {
+    let content;
+    try {
+        content = yaml.load(buffer.toString('utf-8'));
+    } catch (e) {
+        throw new Error(`Invalid service file: ${e.message}`);
+    }
+    const services = content?.services ?? [];
+    if (checkTypes.array(services) === false) {
+        throw new Error("Invalid service file: 'services' must be a list");
+    }
+
+    return services.map((service, index) => {
+        const { identifier, designator, callsign } = service ?? {};
+        // unquoted frequencies are read as numbers, e.g. "118.100" is read as 118.1
+        const frequency = checkTypes.number(service?.frequency) ? service.frequency.toFixed(3) : service?.frequency;
+        if (checkTypes.nonEmptyString(identifier) === false && checkTypes.nonEmptyString(designator) === false) {
+            throw new Error(`Invalid service file: missing 'identifier' or 'designator' of service at index ${index}`);
+        }
+        if (checkTypes.nonEmptyString(callsign) === false || checkTypes.nonEmptyString(frequency) === false) {
+            throw new Error(`Invalid service file: missing 'callsign' or 'frequency' of service at index ${index}`);
+        }
+
+        return { identifier: identifier ?? null, designator: designator ?? null, callsign, frequency };
+    });
+}
+
+module.exports = { parseServiceFile };
@@ -0,0 +1,157 @@
+const { getChildElements, toArray } = require('./xml-utils');
+
+// time slice elements that describe the time slice itself and are never overlaid onto the feature state
+const TIME_SLICE_METADATA = ['gml:validTime', 'aixm:interpretation', 'aixm:sequenceNumber', 'aixm:correctionNumber'];
+
+/**
+ * Returns the state of a feature at the given effective date by applying the AIXM temporality rules: the latest
+ * BASELINE (or SNAPSHOT) that is valid at the effective date is overlaid with all newer PERMDELTAs and all TEMPDELTAs
+ * that are valid at the effective date. For each sequence number, only the time slice with the highest correction
+ * number is used.
+ *
+ * If no effective date is given, the latest known permanent state is returned, i.e. validity is not checked and
+ * TEMPDELTAs are not applied.
+ *
+ * @param {Object} feature - Feature element, e.g. "aixm:Airspace", that contains one or more "aixm:timeSlice".
+ * @param {Date} [effectiveDate]
+ * @return {Object|null} The effective time slice or null if the feature has no state at the effective date.
+ */
+function getEffectiveTimeSlice(feature, effectiveDate) {
+    const timeSlices = getTimeSlices(feature).filter(
+        (timeSlice) => effectiveDate == null || isValidAt(timeSlice, effectiveDate)
+    );
+    const baselines = timeSlices.filter(({ interpretation }) => ['BASELINE', 'SNAPSHOT'].includes(interpretation));
+    if (baselines.length === 0) {
+        return null;
+    }
+
+    const baseline = baselines.reduce((latest, timeSlice) =>
+        timeSlice.sequenceNumber > latest.sequenceNumber ? timeSlice : latest
+    );
+    const permDeltas = timeSlices.filter(
+        ({ interpretation, sequenceNumber }) =>
+            interpretation === 'PERMDELTA' && sequenceNumber > baseline.sequenceNumber
+    );
+    const tempDeltas =
+        effectiveDate == null ? [] : timeSlices.filter(({ interpretation }) => interpretation === 'TEMPDELTA');
+
+    let state = baseline.element;
+    for (const delta of [...sortBySequence(permDeltas), ...sortBySequence(tempDeltas)]) {
+        state = overlayTimeSlice(state, delta.element);
+    }
+
+    return state;
+}
+
+/**
+ * Returns all time slices of a feature. Of multiple time slices with the same interpretation and sequence number,
+ * only the one with the highest correction number is kept.
+ *
+ * @param {Object} feature
+ * @return {{element: Object, interpretation: string, sequenceNumber: number, correctionNumber: number}[]}
+ */
+function getTimeSlices(feature) {
+    const corrected = new Map();
+    for (const timeSliceProperty of toArray(feature?.['aixm:timeSlice'])) {
+        const [child] = getChildElements(timeSliceProperty);
+        if (child == null) {
+            continue;
+        }
+
+        const element = child.element;
+        const timeSlice = {
+            element,
+            // time slices without interpretation are treated as baseline, e.g. simple single time slice datasets
+            interpretation: element['aixm:interpretation']?._text?.trim().toUpperCase() ?? 'BASELINE',
+            sequenceNumber: parseNumber(element['aixm:sequenceNumber']),
+            correctionNumber: parseNumber(element['aixm:correctionNumber']),
+        };
+        const key = `${timeSlice.interpretation}_${timeSlice.sequenceNumber}`;
+        const existing = corrected.get(key);
+        if (existing == null || timeSlice.correctionNumber > existing.correctionNumber) {
+            corrected.set(key, timeSlice);
+        }
+    }
+
+    return [...corrected.values()];
+}
+
+/**
+ * Checks if the time slice's "gml:validTime" contains the given date. Time slices without valid time are always
+ * valid, an unknown or missing end position is treated as open end. A time instant is valid from that instant on.
+ *
+ * @param {{element: Object, interpretation: string}} timeSlice
+ * @param {Date} date
+ * @return {boolean}
+ */
+function isValidAt(timeSlice, date) {
+    const validTime = timeSlice.element['gml:validTime'];
+    const period = validTime?.['gml:TimePeriod'];
+    if (period != null) {
+        const begin = parseTimePosition(period['gml:beginPosition']);
+        const end = parseTimePosition(period['gml:endPosition']);
+
+        return (begin == null || begin <= date) && (end == null || date < end);
+    }
+    const instant = parseTimePosition(validTime?.['gml:TimeInstant']?.['gml:timePosition']);
+
+    return instant == null || instant <= date;
+}
+
+/**
+ * Overlays the properties of a delta time slice onto the given state. Properties that are set to "xsi:nil" in the
+ * delta are removed from the state.
+ *
+ * @param {Object} state
+ * @param {Object} delta
+ * @return {Object}
+ */
+function overlayTimeSlice(state, delta) {
+    const overlaid = { ...state };
+    for (const [name, value] of Object.entries(delta)) {
+        if (name.startsWith('_') || TIME_SLICE_METADATA.includes(name)) {
+            continue;
+        }
+        if (toArray(value).every((element) => element?._attributes?.['xsi:nil'] === 'true')) {
+            delete overlaid[name];
+            continue;
+        }
+        overlaid[name] = value;
+    }
+
+    return overlaid;
+}
+
+/**
+ * @param {Object[]} timeSlices
+ * @return {Object[]}
+ */
+function sortBySequence(timeSlices) {
+    return [...timeSlices].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+}
+
+/**
+ * @param {Object} element
+ * @return {number}
+ */
+function parseNumber(element) {
+    const value = Number.parseInt(element?._text, 10);
+
+    return Number.isNaN(value) ? 0 : value;
+}
+
+/**
+ * @param {Object} timePosition
+ * @return {Date|null}
+ */
+function parseTimePosition(timePosition) {
+    const text = timePosition?._text?.trim();
+    if (text == null || text === '') {
+        return null;
+    }
+    const date = new Date(text);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { getEffectiveTimeSlice, getTimeSlices, isValidAt, overlayTimeSlice };
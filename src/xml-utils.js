@@ -0,0 +1,177 @@
+const convert = require('xml-js');
+
+// Hidden property that stores the names of child elements in document order. The xml-js "compact" format groups
+// child elements by name and thus loses the order of differently named siblings.
+const CHILD_ORDER = Symbol('childOrder');
+
+// Prefixes that elements and attributes of known namespaces are read with, regardless of the prefix that is bound to
+// the namespace in the document, e.g. "aixm51:Airspace" is read as "aixm:Airspace".
+const NAMESPACE_PREFIXES = {
+    'http://www.aixm.aero/schema/5.1': 'aixm',
+    'http://www.aixm.aero/schema/5.1.1': 'aixm',
+    'http://www.aixm.aero/schema/5.1/message': 'message',
+    'http://www.aixm.aero/schema/5.1.1/message': 'message',
+    'http://www.opengis.net/gml/3.2': 'gml',
+    'http://www.w3.org/1999/xlink': 'xlink',
+    'http://www.w3.org/2001/XMLSchema-instance': 'xsi',
+};
+
+/**
+ * Parses a XML buffer into the xml-js "compact" format. Additionally keeps track of the document order of child
+ * elements that can be read with "getChildElements". Elements and attributes of known namespaces are renamed to the
+ * prefixes in "NAMESPACE_PREFIXES".
+ *
+ * @param {Buffer|string} buffer
+ * @param {Object} [namespaces] - Namespaces that are declared outside the parsed XML, mapped by prefix. Used when parsing a part of a document.
+ * @return {Object}
+ */
+function parseXml(buffer, namespaces = {}) {
+    const json = convert.xml2js(buffer, {
+        compact: true,
+        elementNameFn: (name, parentElement) => {
+            if (parentElement[CHILD_ORDER] == null) {
+                Object.defineProperty(parentElement, CHILD_ORDER, { value: [], enumerable: false });
+            }
+            parentElement[CHILD_ORDER].push(name);
+
+            return name;
+        },
+    });
+    normalizeNames(json, namespaces);
+
+    return json;
+}
+
+/**
+ * Adds the namespaces that are declared with "xmlns" attributes to the given namespaces.
+ *
+ * @param {Object} namespaces - Namespace URIs mapped by prefix. The default namespace has the prefix "".
+ * @param {Object} [attributes]
+ * @return {Object}
+ */
+function declareNamespaces(namespaces, attributes) {
+    const declarations = Object.keys(attributes ?? {}).filter((name) => name === 'xmlns' || name.startsWith('xmlns:'));
+    if (declarations.length === 0) {
+        return namespaces;
+    }
+
+    const declared = { ...namespaces };
+    for (const name of declarations) {
+        declared[name.slice('xmlns:'.length)] = attributes[name];
+    }
+
+    return declared;
+}
+
+/**
+ * Returns the name of an element or attribute with the prefix of its namespace in "NAMESPACE_PREFIXES". Names of
+ * unknown or undeclared namespaces are returned unchanged. Attributes without prefix have no namespace.
+ *
+ * @param {string} name
+ * @param {Object} namespaces - Namespace URIs mapped by prefix.
+ * @param {boolean} [isAttribute]
+ * @return {string}
+ */
+function normalizeName(name, namespaces, isAttribute = false) {
+    const separator = name.indexOf(':');
+    if (separator === -1 && isAttribute) {
+        return name;
+    }
+
+    const prefix = NAMESPACE_PREFIXES[namespaces[separator === -1 ? '' : name.slice(0, separator)]];
+
+    return prefix == null ? name : `${prefix}:${name.slice(separator + 1)}`;
+}
+
+/**
+ * Recursively renames the child elements and attributes of the given element to the prefixes of their namespaces.
+ * Siblings that have the same name after renaming, e.g. "aixm:name" and "aixm51:name", are merged in document order.
+ *
+ * @param {Object} element
+ * @param {Object} namespaces - Namespaces that are declared for the element, including its own declarations.
+ * @return {void}
+ */
+function normalizeNames(element, namespaces) {
+    if (element._attributes != null) {
+        const attributes = Object.entries(element._attributes);
+        if (attributes.some(([name]) => normalizeName(name, namespaces, true) !== name)) {
+            element._attributes = Object.fromEntries(
+                attributes.map(([name, value]) => [normalizeName(name, namespaces, true), value])
+            );
+        }
+    }
+
+    // namespaces that are declared on an element also apply to the element's own name
+    const children = getChildElements(element).map(({ name, element: child }) => {
+        const scope = declareNamespaces(namespaces, child._attributes);
+
+        return { name, normalizedName: normalizeName(name, scope), element: child, scope };
+    });
+    if (children.some(({ name, normalizedName }) => name !== normalizedName)) {
+        for (const { name } of children) {
+            delete element[name];
+        }
+        children.forEach(({ normalizedName, element: child }, index) => {
+            const existing = element[normalizedName];
+            if (existing == null) {
+                element[normalizedName] = child;
+            } else if (Array.isArray(existing)) {
+                existing.push(child);
+            } else {
+                element[normalizedName] = [existing, child];
+            }
+            element[CHILD_ORDER][index] = normalizedName;
+        });
+    }
+
+    for (const { element: child, scope } of children) {
+        normalizeNames(child, scope);
+    }
+}
+
+/**
+ * Returns all child elements of the given element in document order. If the element was not created by
+ * "parseXml", the order of the element's keys is used instead.
+ *
+ * @param {Object} element
+ * @return {{name: string, element: Object}[]}
+ */
+function getChildElements(element) {
+    if (element == null) {
+        return [];
+    }
+
+    const order = element[CHILD_ORDER];
+    if (order == null) {
+        return Object.keys(element)
+            .filter((name) => name.startsWith('_') === false)
+            .flatMap((name) => toArray(element[name]).map((child) => ({ name, element: child })));
+    }
+
+    const counters = {};
+    return order.map((name) => {
+        const index = counters[name] ?? 0;
+        counters[name] = index + 1;
+
+        const children = element[name];
+
+        return { name, element: Array.isArray(children) ? children[index] : children };
+    });
+}
+
+/**
+ * Returns the given value as array. In the xml-js "compact" format, a single element is an object whereas
+ * repeated elements are an array.
+ *
+ * @param {Object|Object[]|undefined} value
+ * @return {Object[]}
+ */
+function toArray(value) {
+    if (value == null) {
+        return [];
+    }
+
+    return [].concat(value);
+}
+
+module.exports = { parseXml, getChildElements, toArray, declareNamespaces, normalizeName };
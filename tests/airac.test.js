@@ -0,0 +1,20 @@
+const { getAiracCycle } = require('../src/airac');
+
+describe('test computing AIRAC cycles', () => {
+    test.each([
+        ['2001', '2020-01-02T00:00:00.000Z'],
+        ['2014', '2020-12-31T00:00:00.000Z'],
+        ['2301', '2023-01-26T00:00:00.000Z'],
+        ['2303', '2023-03-23T00:00:00.000Z'],
+        ['2401', '2024-01-25T00:00:00.000Z'],
+    ])('compute effective date of AIRAC cycle %s', (cycle, expected) => {
+        const { start, end } = getAiracCycle(cycle);
+
+        expect(start.toISOString()).toEqual(expected);
+        expect(end.getTime() - start.getTime()).toEqual(28 * 24 * 60 * 60 * 1000);
+    });
+
+    test.each(['2300', '2314', '23-01', 'next'])('fail on invalid AIRAC cycle %s', (cycle) => {
+        expect(() => getAiracCycle(cycle)).toThrow(`Invalid AIRAC cycle '${cycle}'`);
+    });
+});
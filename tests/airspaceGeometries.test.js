@@ -0,0 +1,334 @@
+const fs = require('node:fs');
+const { bearing, distance, destination, booleanPointInPolygon } = require('@turf/turf');
+const { AirspaceConverter } = require('../src/airspace-converter');
+const { AixmIndex } = require('../src/aixm-index');
+const { parseXml } = require('../src/xml-utils');
+
+/**
+ * Reads a fixture file containing a single AIXM/GML element.
+ *
+ * @param {string} filepath
+ * @return {Object}
+ */
+function readFixture(filepath) {
+    return parseXml(fs.readFileSync(filepath));
+}
+
+describe('test creating airspace geometries from arc and circle segments', () => {
+    test('create polygon from CircleByCenterPoint', () => {
+        const converter = new AirspaceConverter({ geometryDetail: 50 });
+        const surface = readFixture('./tests/fixtures/geometry/circle-by-center-point.xml')['aixm:Surface'];
+
+        const { geometry } = converter.createPolygonFeature(surface);
+        const [ring] = geometry.coordinates;
+
+        expect(geometry.type).toEqual('Polygon');
+        expect(ring.length).toEqual(51);
+        expect(ring[0]).toEqual(ring[ring.length - 1]);
+        for (const coord of ring) {
+            expect(distance([8.5, 47.5], coord, { units: 'nauticalmiles' })).toBeCloseTo(5, 3);
+        }
+    });
+
+    test('create counter-clockwise arc from ArcByCenterPoint', () => {
+        const converter = new AirspaceConverter({ geometryDetail: 20 });
+        const arc = readFixture('./tests/fixtures/geometry/arc-by-center-point.xml')['gml:ArcByCenterPoint'];
+
+        const coordinates = converter.createArcCoordinates(arc);
+        const first = coordinates[0];
+        const middle = coordinates[Math.floor(coordinates.length / 2)];
+        const last = coordinates[coordinates.length - 1];
+
+        expect(distance([8.5, 47.5], first, { units: 'kilometers' })).toBeCloseTo(10, 3);
+        expect(bearing([8.5, 47.5], first)).toBeCloseTo(-90, 1);
+        // arc runs from west through south to east
+        expect(Math.abs(bearing([8.5, 47.5], middle))).toBeCloseTo(180, 0);
+        expect(bearing([8.5, 47.5], last)).toBeCloseTo(90, 1);
+    });
+
+    test('fail on unsupported radius unit', () => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.getRadius({ _text: '5', _attributes: { uom: 'FATHOM' } })).toThrow(
+            "Unsupported radius unit 'FATHOM'"
+        );
+    });
+});
+
+describe('test creating airspace geometries from mixed curve segments', () => {
+    test('join multiple curve members and segments in document order', () => {
+        const converter = new AirspaceConverter({ geometryDetail: 36 });
+        const surface = readFixture('./tests/fixtures/geometry/mixed-curve-members.xml')['aixm:Surface'];
+
+        const { geometry } = converter.createPolygonFeature(surface);
+        const [ring] = geometry.coordinates;
+
+        // ring is closed automatically
+        expect(ring[0]).toEqual([8.0, 47.0]);
+        expect(ring[ring.length - 1]).toEqual([8.0, 47.0]);
+        // shared vertices between segments and curve members are only added once
+        expect(ring.filter(([lon, lat]) => lon === 8.0 && lat === 48.0).length).toEqual(1);
+        expect(ring.filter(([lon, lat]) => lon === 7.8 && lat === 47.8).length).toEqual(1);
+        expect(converter.validateGeometry(geometry).isValid).toEqual(true);
+        // arc to the east and arc string to the west are part of the polygon
+        expect(booleanPointInPolygon([9.6, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([7.72, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([7.6, 47.5], geometry)).toEqual(false);
+    });
+
+    test('fail on unsupported curve segment', () => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.createSegmentCoordinates('gml:Clothoid', {})).toThrow(
+            "Unsupported curve segment 'gml:Clothoid'"
+        );
+    });
+});
+
+describe('test creating airspace geometries from referenced curves', () => {
+    const message = readFixture('./tests/fixtures/geometry/referenced-border.xml')['message:AIXMBasicMessage'];
+    const index = new AixmIndex(message['message:hasMember']);
+    const getSurface = (gmlId) => index.resolve(`#${gmlId}`).element;
+
+    test('splice referenced border between entry and exit point', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const { geometry } = converter.createPolygonFeature(getSurface('WEST_SURFACE'));
+
+        expect(converter.validateGeometry(geometry).isValid).toEqual(true);
+        // border bulges to the east between entry and exit point
+        expect(booleanPointInPolygon([9.04, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([9.06, 47.5], geometry)).toEqual(false);
+        // border parts outside of entry and exit point are not used
+        expect(booleanPointInPolygon([9.0, 47.1], geometry)).toEqual(false);
+    });
+
+    test('splice referenced curve in reverse direction', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const { geometry } = converter.createPolygonFeature(getSurface('EAST_SURFACE'));
+
+        expect(converter.validateGeometry(geometry).isValid).toEqual(true);
+        expect(booleanPointInPolygon([9.06, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([9.04, 47.5], geometry)).toEqual(false);
+    });
+
+    test('fail on unresolved reference', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        expect(() => converter.createReferencedCoordinates('#UNKNOWN_CURVE')).toThrow(
+            "Failed to resolve reference '#UNKNOWN_CURVE'"
+        );
+    });
+});
+
+describe('test creating aggregated airspace geometries', () => {
+    const message = readFixture('./tests/fixtures/geometry/aggregated-airspace.xml')['message:AIXMBasicMessage'];
+    const index = new AixmIndex(message['message:hasMember']);
+    const getTimeSlice = (gmlId) => index.resolve(`#${gmlId}_TS`).element;
+
+    test('evaluate UNION and SUBTR operations in order of operation sequence', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const components = converter.getGeometryComponents(getTimeSlice('AGGREGATED'));
+        const geometry = converter.createGeometryFromComponents(components);
+
+        expect(components.map(({ operation }) => operation)).toEqual(['BASE', 'UNION', 'SUBTR']);
+        expect(geometry.type).toEqual('Polygon');
+        // union of both base airspaces
+        expect(booleanPointInPolygon([8.2, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([9.3, 47.5], geometry)).toEqual(true);
+        // subtracted circle results in a hole
+        expect(geometry.coordinates.length).toEqual(2);
+        expect(booleanPointInPolygon([8.75, 47.5], geometry)).toEqual(false);
+    });
+
+    test('evaluate INTERS operation', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const components = converter.getGeometryComponents(getTimeSlice('INTERSECTED'));
+        const geometry = converter.createGeometryFromComponents(components);
+
+        expect(booleanPointInPolygon([8.75, 47.5], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([8.2, 47.5], geometry)).toEqual(false);
+        expect(booleanPointInPolygon([9.3, 47.5], geometry)).toEqual(false);
+    });
+
+    test('keep only polygonal parts of touching components', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const geometry = converter.createGeometryFromComponents(
+            converter.getGeometryComponents(getTimeSlice('TOUCHING'))
+        );
+
+        // the part that only touches the base airspace along its edge results in a line and is dropped
+        expect(geometry.type).toEqual('Polygon');
+        expect(booleanPointInPolygon([8.3, 47.3], geometry)).toEqual(true);
+        expect(() =>
+            converter.createGeometryFromComponents(converter.getGeometryComponents(getTimeSlice('TOUCHING_EDGE')))
+        ).toThrow("Empty geometry after applying geometry operations for airspace 'null'");
+    });
+
+    test('read vertical limits from contributor airspace', () => {
+        const converter = new AirspaceConverter();
+        converter.index = index;
+
+        const [baseComponent] = converter.getGeometryComponents(getTimeSlice('AGGREGATED'));
+        const volume = converter.getLimitsVolume(baseComponent.volume);
+
+        expect(volume['aixm:upperLimit']._text).toEqual('9500');
+        expect(volume['aixm:lowerLimit']._text).toEqual('2500');
+    });
+});
+
+describe('test creating airspace geometries with holes and multiple parts', () => {
+    const createFeatureCollection = (geometry) => ({
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                properties: {
+                    name: 'TEST',
+                    type: 'CTR',
+                    class: 'D',
+                    upperCeiling: { value: 2500, unit: 'FT', referenceDatum: 'MSL' },
+                    lowerCeiling: { value: 0, unit: 'FT', referenceDatum: 'GND' },
+                    activatedByNotam: false,
+                    activity: 'NONE',
+                },
+                geometry,
+            },
+        ],
+    });
+
+    test('create MultiPolygon with interior ring from multiple polygon patches', () => {
+        const converter = new AirspaceConverter({ geometryDetail: 20 });
+        const surface = readFixture('./tests/fixtures/geometry/multiple-patches-with-holes.xml')['aixm:Surface'];
+
+        const { geometry } = converter.createPolygonFeature(surface);
+
+        expect(geometry.type).toEqual('MultiPolygon');
+        expect(geometry.coordinates.length).toEqual(2);
+        // first patch has an exterior and an interior ring
+        expect(geometry.coordinates[0].length).toEqual(2);
+        expect(geometry.coordinates[1].length).toEqual(1);
+        expect(booleanPointInPolygon([8.5, 47.5], geometry)).toEqual(false);
+        expect(booleanPointInPolygon([8.1, 47.1], geometry)).toEqual(true);
+        expect(booleanPointInPolygon([10.5, 47.5], geometry)).toEqual(true);
+        expect(converter.validateGeometry(geometry).isValid).toEqual(true);
+        expect(converter.schemaValidator(createFeatureCollection(geometry))).toEqual(true);
+    });
+
+    test('fix invalid MultiPolygon part and keep holes', () => {
+        const converter = new AirspaceConverter();
+        const geometry = {
+            type: 'MultiPolygon',
+            coordinates: [
+                [
+                    [
+                        [8.0, 47.0],
+                        [9.0, 47.0],
+                        [9.0, 48.0],
+                        [8.0, 48.0],
+                        [8.0, 47.0],
+                    ],
+                    [
+                        [8.4, 47.4],
+                        [8.6, 47.4],
+                        [8.6, 47.6],
+                        [8.4, 47.6],
+                        [8.4, 47.4],
+                    ],
+                ],
+                [
+                    // self-intersecting "bow tie"
+                    [
+                        [10.0, 47.0],
+                        [11.0, 48.0],
+                        [11.0, 47.0],
+                        [10.0, 48.0],
+                        [10.0, 47.0],
+                    ],
+                ],
+            ],
+        };
+
+        const fixedGeometry = converter.fixGeometry(geometry);
+
+        expect(converter.validateGeometry(geometry).isValid).toEqual(false);
+        expect(converter.validateGeometry(fixedGeometry).isValid).toEqual(true);
+        expect(fixedGeometry.type).toEqual('MultiPolygon');
+        expect(booleanPointInPolygon([8.5, 47.5], fixedGeometry)).toEqual(false);
+        expect(booleanPointInPolygon([8.2, 47.2], fixedGeometry)).toEqual(true);
+        expect(converter.schemaValidator(createFeatureCollection(fixedGeometry))).toEqual(true);
+    });
+});
+
+describe('test creating corridor airspace geometries', () => {
+    test('buffer centreline by half of the width', () => {
+        const converter = new AirspaceConverter();
+        const volume = readFixture('./tests/fixtures/geometry/corridor-volume.xml')['aixm:AirspaceVolume'];
+
+        const geometry = converter.createVolumeGeometry(volume);
+        const north = (nauticalMiles) => destination([8.5, 47.0], nauticalMiles, 0, { units: 'nauticalmiles' });
+
+        expect(geometry.type).toEqual('Polygon');
+        expect(converter.validateGeometry(geometry).isValid).toEqual(true);
+        expect(booleanPointInPolygon(north(4.9), geometry)).toEqual(true);
+        expect(booleanPointInPolygon(north(5.1), geometry)).toEqual(false);
+    });
+
+    test('fail on missing corridor width', () => {
+        const converter = new AirspaceConverter();
+        const volume = readFixture('./tests/fixtures/geometry/corridor-volume.xml')['aixm:AirspaceVolume'];
+        delete volume['aixm:width'];
+
+        expect(() => converter.createVolumeGeometry(volume)).toThrow("Invalid width 'undefined'");
+    });
+});
+
+describe('test reading positions in different reference systems', () => {
+    test('swap axes of latitude first CRS and inherit CRS from ancestors', () => {
+        const converter = new AirspaceConverter({ geometryDetail: 20 });
+        const surface = readFixture('./tests/fixtures/geometry/lat-lon-axis-order.xml')['aixm:Surface'];
+
+        const { geometry } = converter.createPolygonFeature(surface);
+        const [ring] = geometry.coordinates;
+
+        expect(ring.slice(0, 3)).toEqual([
+            [8.0, 47.0],
+            [9.0, 47.0],
+            [9.0, 48.0],
+        ]);
+        expect(ring.slice(-2)).toEqual([
+            [8.0, 48.0],
+            [8.0, 47.0],
+        ]);
+        // arc around the center point north of the rectangle
+        expect(booleanPointInPolygon([8.5, 48.05], geometry)).toEqual(true);
+    });
+
+    test('fail on unsupported CRS', () => {
+        const converter = new AirspaceConverter();
+        const point = parseXml(
+            '<aixm:Point srsName="urn:ogc:def:crs:EPSG::2056"><gml:pos>2600000 1200000</gml:pos></aixm:Point>'
+        );
+
+        expect(() => converter.createPointGeometry(point['aixm:Point'])).toThrow(
+            "Unsupported CRS 'urn:ogc:def:crs:EPSG::2056'"
+        );
+    });
+
+    test('fail on position list that does not match the dimension', () => {
+        const converter = new AirspaceConverter();
+        const point = parseXml('<aixm:Point><gml:posList srsDimension="3">8.0 47.0</gml:posList></aixm:Point>');
+
+        expect(() => converter.createPointGeometry(point['aixm:Point'])).toThrow("Invalid position '8.0 47.0'");
+    });
+});
@@ -0,0 +1,46 @@
+const { AixmConverter } = require('../src/aixm-converter');
+
+describe('test converting airports to GeoJSON', () => {
+    test('convert airport with runways and runway directions', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/airports.xml', { type: 'airport' });
+        const [zurich, bern] = converter.toGeojson().features;
+
+        expect(zurich.geometry).toEqual({ type: 'Point', coordinates: [8.5481, 47.4581] });
+        expect(zurich.properties).toEqual({
+            identifier: '1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d01',
+            designator: 'LSZH',
+            icaoCode: 'LSZH',
+            iataCode: 'ZRH',
+            name: 'ZURICH',
+            type: 'AD',
+            // ARP elevation takes precedence over the field elevation of 432 M
+            elevation: { value: 1670, unit: 'FT', referenceDatum: 'MSL' },
+            magneticVariation: 3.1,
+            runways: [
+                {
+                    designator: '14/32',
+                    type: 'RWY',
+                    length: { value: 3300, unit: 'M' },
+                    width: { value: 60, unit: 'M' },
+                    surface: 'ASPH',
+                    directions: [
+                        { designator: '14', trueBearing: 137.6, magneticBearing: 134.5 },
+                        { designator: '32', trueBearing: 317.6, magneticBearing: 314.5 },
+                    ],
+                },
+                {
+                    designator: '16/34',
+                    type: 'RWY',
+                    length: { value: 3700, unit: 'M' },
+                    width: { value: 60, unit: 'M' },
+                    surface: 'CONC',
+                },
+            ],
+        });
+        // field elevation is used if the ARP has no elevation
+        expect(bern.properties.elevation).toEqual({ value: 1674, unit: 'FT', referenceDatum: 'MSL' });
+        expect(bern.properties.runways.map(({ designator }) => designator)).toEqual(['14/32']);
+    });
+});
@@ -1,4 +1,16 @@
+const fs = require('node:fs');
+const { booleanPointInPolygon } = require('@turf/turf');
 const { AixmConverter } = require('../src/aixm-converter');
+const { AirspaceConverter } = require('../src/airspace-converter');
+const { parseXml } = require('../src/xml-utils');
+const { ConversionError } = require('../src/conversion-error');
+
+// maps the first four airspaces of "aixm-airspace.xml" but neither the type "OTHER" nor the local type "RMZ" of the last one
+const PARTIAL_PROFILE = {
+    types: { CTR: 'CTR', TMA: 'TMA', R: 'RESTRICTED', P: 'PROHIBITED' },
+    classes: { C: 'C', D: 'D', E: 'E' },
+    defaultClass: 'UNCLASSIFIED',
+};
 
 describe('test parsing complete airspace file to GeoJSON file', () => {
     test('convert AIXM airspace file to GeoJSON file without error', async () => {
@@ -11,4 +23,458 @@ describe('test parsing complete airspace file to GeoJSON file', () => {
 
         expect(true).toEqual(true);
     });
+
+    test('read elements by namespace regardless of prefixes and single members', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/aixm-airspace.xml', { type: 'airspace' });
+        const [expected] = converter.toGeojson().features;
+        await converter.convertFromFile('./tests/fixtures/namespace-prefixes.xml', { type: 'airspace' });
+        const { features } = converter.toGeojson();
+        const streamedFeatures = [];
+        for await (const feature of converter.convertFromFileStream('./tests/fixtures/namespace-prefixes.xml', {
+            type: 'airspace',
+        })) {
+            streamedFeatures.push(feature);
+        }
+
+        expect(features).toEqual([expected]);
+        expect(streamedFeatures).toEqual([expected]);
+    });
+
+    test('skip airspaces that fail to convert and collect diagnostics', async () => {
+        const inputFilepath = './tests/fixtures/aixm-airspace.xml';
+        const converter = new AixmConverter({ mappingProfile: PARTIAL_PROFILE, continueOnError: true });
+
+        await converter.convertFromFile(inputFilepath, { type: 'airspace' });
+        const diagnostics = converter.getDiagnostics();
+        const { features } = converter.toGeojson();
+        const streamedFeatures = [];
+        for await (const feature of converter.convertFromFileStream(inputFilepath, { type: 'airspace' })) {
+            streamedFeatures.push(feature);
+        }
+
+        expect(features.map((feature) => feature.properties.designator)).toEqual([
+            'LSZH CTR',
+            'LSZH TMA 1',
+            'LS-R1',
+            'LS-P1',
+        ]);
+        expect(diagnostics).toEqual([
+            {
+                identifier: '1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f05',
+                designator: 'LSZG RMZ',
+                code: 'UNMAPPED_VALUE',
+                message: expect.stringContaining("the 'localType' value 'RMZ' has a configured mapping"),
+                location:
+                    "/message:AIXMBasicMessage/message:hasMember[5]/aixm:Airspace[@gml:id='LSZG_RMZ']/aixm:timeSlice/aixm:AirspaceTimeSlice/aixm:localType",
+            },
+        ]);
+        expect(streamedFeatures).toEqual(features);
+        expect(converter.getDiagnostics()).toEqual(diagnostics);
+        await expect(
+            new AixmConverter({ mappingProfile: PARTIAL_PROFILE }).convertFromFile(inputFilepath, { type: 'airspace' })
+        ).rejects.toThrow("the 'localType' value 'RMZ' has a configured mapping");
+    });
+
+    test('report counts, skipped features and fixed geometries', async () => {
+        const xml = fs.readFileSync('./tests/fixtures/aixm-airspace.xml', 'utf-8');
+        // swap two corners of the first airspace to create a self-intersecting "bow tie"
+        const invalidXml = xml
+            .replace('8.7 47.55', 'SWAP')
+            .replace('8.4 47.55', '8.7 47.55')
+            .replace('SWAP', '8.4 47.55');
+        const converter = new AixmConverter({
+            mappingProfile: PARTIAL_PROFILE,
+            unmappedValues: 'skip',
+            fixGeometries: true,
+        });
+
+        await converter.convertFromBuffer(Buffer.from(invalidXml), { type: 'airspace' });
+        const report = converter.getReport();
+
+        expect(report.counts).toEqual({
+            features: 4,
+            types: { CTR: 1, TMA: 1, RESTRICTED: 1, PROHIBITED: 1 },
+            classes: { D: 1, C: 1, UNCLASSIFIED: 2 },
+        });
+        expect(report.skipped).toEqual([
+            { identifier: '1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f05', designator: 'LSZG RMZ', reason: 'UNMAPPED_VALUE' },
+        ]);
+        expect(report.fixedGeometries).toEqual([
+            {
+                identifier: '1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f01',
+                designator: 'LSZH CTR',
+                areaBefore: expect.any(Number),
+                areaAfter: expect.any(Number),
+                areaChange: expect.any(Number),
+            },
+        ]);
+        expect(report.errors).toEqual([]);
+        expect(report.schemaErrors).toEqual([]);
+    });
+
+    test('merge time slices of a feature that are delivered in separate members', async () => {
+        const inputFilepath = './tests/fixtures/airspace-split-time-slices.xml';
+        const converter = new AixmConverter();
+        const convert = async (effectiveDate) => {
+            await converter.convertFromFile(inputFilepath, { type: 'airspace', effectiveDate });
+            const { features } = converter.toGeojson();
+            const streamedFeatures = [];
+            for await (const feature of converter.convertFromFileStream(inputFilepath, {
+                type: 'airspace',
+                effectiveDate,
+            })) {
+                streamedFeatures.push(feature);
+            }
+            expect(streamedFeatures).toEqual(features);
+            expect(converter.getReport().skipped).toEqual([]);
+
+            return streamedFeatures.map((feature) => feature.properties.name);
+        };
+
+        expect(await convert(new Date('2023-02-01T00:00:00Z'))).toEqual(['ZURICH CTR']);
+        expect(await convert(new Date('2023-03-23T00:00:00Z'))).toEqual(['ZURICH CTR RENAMED']);
+        expect(await convert()).toEqual(['ZURICH CTR RENAMED']);
+    });
+});
+
+describe('test creating airspace features', () => {
+    test('create one feature per vertical layer', async () => {
+        const converter = new AirspaceConverter();
+        const airspace = parseXml(fs.readFileSync('./tests/fixtures/stacked-airspace.xml'));
+
+        const features = await converter.createFeatures(airspace, {});
+        const [lower, upper] = features;
+
+        expect(features.length).toEqual(2);
+        expect(lower.properties.identifier).toEqual('9e0b7a52-1c3d-4e5f-8a9b-0c1d2e3f4a5b_1');
+        expect(upper.properties.identifier).toEqual('9e0b7a52-1c3d-4e5f-8a9b-0c1d2e3f4a5b_2');
+        expect(lower.properties.parentIdentifier).toEqual('9e0b7a52-1c3d-4e5f-8a9b-0c1d2e3f4a5b');
+        expect(upper.properties.parentIdentifier).toEqual('9e0b7a52-1c3d-4e5f-8a9b-0c1d2e3f4a5b');
+        expect(lower.properties.upperCeiling).toEqual({ value: 4500, unit: 'FT', referenceDatum: 'MSL' });
+        expect(upper.properties.upperCeiling).toEqual({ value: 95, unit: 'FL', referenceDatum: 'STD' });
+        expect(upper.properties.lowerCeiling).toEqual({ value: 4500, unit: 'FT', referenceDatum: 'MSL' });
+        // each layer has its own horizontal extent
+        expect(booleanPointInPolygon([7.7, 46.7], lower.geometry)).toEqual(false);
+        expect(booleanPointInPolygon([7.7, 46.7], upper.geometry)).toEqual(true);
+        // area without vertical limits is subtracted from all layers
+        expect(booleanPointInPolygon([8.5, 47.5], lower.geometry)).toEqual(false);
+        expect(booleanPointInPolygon([8.5, 47.5], upper.geometry)).toEqual(false);
+    });
+
+    test('merge notes of airspace and layer into remarks', async () => {
+        const converter = new AirspaceConverter({ preferredLanguage: 'GER' });
+        const airspace = parseXml(fs.readFileSync('./tests/fixtures/stacked-airspace.xml'));
+
+        const [lower, upper] = await converter.createFeatures(airspace, {});
+
+        expect(lower.properties.remarks).toEqual('Aktiv waehrend militaerischer Uebungen');
+        // notes of a layer are only added to the layer's feature
+        expect(upper.properties.remarks).toEqual(
+            'Aktiv waehrend militaerischer Uebungen\nWARNING: Intense glider activity'
+        );
+    });
+
+    test('create airspace without feature lifetime', async () => {
+        const converter = new AirspaceConverter();
+        const xml = fs.readFileSync('./tests/fixtures/stacked-airspace.xml', 'utf-8');
+        const airspace = parseXml(
+            Buffer.from(xml.replace(/<aixm:featureLifetime>[\s\S]*<\/aixm:featureLifetime>/, ''))
+        );
+        const validityWindow = { start: new Date('2023-01-01T00:00:00Z'), end: new Date('2023-02-01T00:00:00Z') };
+
+        const features = await converter.createFeatures(airspace, { validityWindow });
+
+        expect(features.length).toEqual(2);
+        expect(features[0].properties.activationPeriod).toBeUndefined();
+    });
+});
+
+describe('test mapping airspace types and classes', () => {
+    test.each([
+        [['CTR_P', null, 'D'], { type: 'CTR', class: 'D' }],
+        [['P', null, null], { type: 'PROHIBITED', class: 'UNCLASSIFIED' }],
+        [['OTHER', 'RMZ', 'E'], { type: 'RMZ', class: 'E' }],
+        [['OTHER', 'GLIDER_SECTOR', 'G'], { type: 'GLIDING_SECTOR', class: 'G' }],
+        // unknown local types fall back to the type mapping
+        [['TMA', 'TMA_SECTOR', 'C'], { type: 'TMA', class: 'C' }],
+        [['FIR_P', null, null], { type: 'FIR', class: 'UNCLASSIFIED' }],
+        [['TSA', null, null], { type: 'TSA', class: 'UNCLASSIFIED' }],
+        [['AWY', null, 'NO'], { type: 'AWY', class: 'UNCLASSIFIED' }],
+    ])('map %j with national profile', (values, expected) => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.mapClassAndType(...values)).toEqual(expected);
+    });
+
+    test('fail on unmapped type', () => {
+        const converter = new AirspaceConverter({ mappingProfile: 'openaip' });
+
+        expect(() => converter.mapClassAndType('UNKNOWN', 'RMZ', 'E')).toThrow(
+            "Neither the 'type' value 'UNKNOWN' nor the 'localType' value 'RMZ' has a configured mapping."
+        );
+    });
+
+    test('pass through or skip unmapped values', () => {
+        const passThroughConverter = new AirspaceConverter({ unmappedValues: 'passThrough' });
+        const skipConverter = new AirspaceConverter({ unmappedValues: 'skip' });
+
+        expect(passThroughConverter.mapClassAndType('UNKNOWN', null, null)).toEqual({
+            type: 'UNKNOWN',
+            class: 'UNCLASSIFIED',
+        });
+        expect(skipConverter.mapClassAndType('UNKNOWN', null, null)).toBeNull();
+    });
+
+    test('load mapping profile from object and file', () => {
+        const objectConverter = new AirspaceConverter({
+            mappingProfile: { extends: 'openaip', types: { TSA: 'RESTRICTED' } },
+        });
+        const fileConverter = new AirspaceConverter({ mappingProfile: './tests/fixtures/mapping-profile.json' });
+
+        expect(objectConverter.mapClassAndType('TSA', null, null)).toEqual({
+            type: 'RESTRICTED',
+            class: 'UNCLASSIFIED',
+        });
+        expect(fileConverter.mapClassAndType('OTHER', 'SEGELFLUGSEKTOR', 'G')).toEqual({
+            type: 'GLIDING_SECTOR',
+            class: 'G',
+        });
+        expect(() => new AirspaceConverter({ mappingProfile: 'unknown' })).toThrow("Unknown mapping profile 'unknown'");
+    });
+});
+
+describe('test normalizing vertical limits', () => {
+    const limit = (value, uom) => ({ _text: value, _attributes: { uom } });
+    const reference = (value) => ({ _text: value });
+
+    test.each([
+        [['GND', 'OTHER'], 'SFC', { value: 0, unit: 'FT', referenceDatum: 'GND' }],
+        [['FLOOR', 'OTHER'], 'SFC', { value: 0, unit: 'FT', referenceDatum: 'GND' }],
+        [['UNL', 'OTHER'], 'STD', { value: 999, unit: 'FL', referenceDatum: 'STD' }],
+        [['CEILING', 'OTHER'], 'STD', { value: 999, unit: 'FL', referenceDatum: 'STD' }],
+        [['0', 'FT'], 'SFC', { value: 0, unit: 'FT', referenceDatum: 'GND' }],
+        [['0', 'FT'], undefined, { value: 0, unit: 'FT', referenceDatum: 'GND' }],
+        [['1500', 'FT'], 'SFC', { value: 1500, unit: 'FT', referenceDatum: 'GND' }],
+        [['2500.0', 'FT'], 'MSL', { value: 2500, unit: 'FT', referenceDatum: 'MSL' }],
+        [['2500', 'FT'], 'ALT', { value: 2500, unit: 'FT', referenceDatum: 'MSL' }],
+        [['095', 'FL'], 'STD', { value: 95, unit: 'FL', referenceDatum: 'STD' }],
+        [['9500', 'FT'], 'STD', { value: 95, unit: 'FL', referenceDatum: 'STD' }],
+        [['1000', 'M'], 'MSL', { value: 3281, unit: 'FT', referenceDatum: 'MSL' }],
+        [['300', 'M'], 'SFC', { value: 984, unit: 'FT', referenceDatum: 'GND' }],
+        [['3000', 'SM'], 'STD', { value: 98, unit: 'FL', referenceDatum: 'STD' }],
+    ])('normalize %j with reference %s', ([value, uom], referenceDatum, expected) => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.createCeiling(limit(value, uom), reference(referenceDatum))).toEqual(expected);
+    });
+
+    test('keep meters and original limit definition', () => {
+        const converter = new AirspaceConverter({ convertMetersToFeet: false, keepOriginalLimits: true });
+
+        expect(converter.createCeiling(limit('1000', 'M'), reference('MSL'))).toEqual({
+            value: 1000,
+            unit: 'M',
+            referenceDatum: 'MSL',
+            original: { value: '1000', unit: 'M', referenceDatum: 'MSL' },
+        });
+    });
+
+    test('fail on unsupported vertical limit unit', () => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.createCeiling(limit('1000', 'KM'), reference('MSL'))).toThrow(
+            "Unsupported vertical limit unit 'KM'"
+        );
+    });
+
+    test('fail on missing vertical reference datum of a limit above surface', () => {
+        const converter = new AirspaceConverter();
+        const createCeiling = () => converter.createCeiling(limit('1500', 'FT'), undefined);
+
+        expect(createCeiling).toThrow(ConversionError);
+        expect(createCeiling).toThrow("Missing vertical reference datum of limit '1500 FT'");
+    });
+});
+
+describe('test creating hours of operation', () => {
+    const timeSlice = parseXml(fs.readFileSync('./tests/fixtures/airspace-activation.xml'))['aixm:AirspaceTimeSlice'];
+    const activations = timeSlice['aixm:activation'].map((activation) => activation['aixm:AirspaceActivation']);
+
+    test('create schedules from activations and timesheets', () => {
+        const converter = new AirspaceConverter();
+
+        const { schedules } = converter.createHoursOfOperation(activations);
+
+        expect(schedules.length).toEqual(3);
+        expect(schedules[0]).toEqual({
+            status: 'ACTIVE',
+            activity: 'MILOPS',
+            timeReference: 'UTC+1',
+            daylightSavingAdjust: true,
+            startDate: '01-04',
+            endDate: '31-10',
+            days: ['FRI', 'SAT', 'SUN', 'MON'],
+            startTime: '08:00',
+            startEvent: null,
+            endTime: undefined,
+            endEvent: { event: 'SS', offset: 30, interpretation: undefined },
+            excluded: false,
+        });
+        expect(schedules[1]).toMatchObject({ days: ['HOL'], startTime: '00:00', endTime: '24:00', excluded: true });
+        expect(schedules[2]).toMatchObject({
+            status: 'INTERMITTENT',
+            days: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'],
+            startTime: '06:00',
+            startEvent: { event: 'SR', offset: -30, interpretation: 'LATEST' },
+        });
+    });
+
+    test('return null without activations', () => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.createHoursOfOperation([])).toEqual(null);
+    });
+
+    test('fail on unsupported time reference', () => {
+        const converter = new AirspaceConverter();
+        const activation = {
+            'aixm:timeInterval': { 'aixm:Timesheet': { 'aixm:timeReference': { _text: 'LOCAL' } } },
+        };
+
+        expect(() => converter.createHoursOfOperation([activation])).toThrow("Unsupported time reference 'LOCAL'");
+    });
+
+    test.each(['24:59', '24:01', '23:60'])('fail on invalid timesheet time %s', (time) => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.createSchedule({ 'aixm:startTime': { _text: time } })).toThrow(
+            `Invalid timesheet time '${time}'`
+        );
+    });
+
+    test('fail on day range with special day', () => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.createDays('WORK_DAY', 'HOL')).toThrow("Invalid day range 'WORK_DAY' to 'HOL'");
+        expect(() => converter.createDays('MON', 'HOL')).toThrow("Invalid day range 'MON' to 'HOL'");
+        expect(converter.createDays('HOL', 'HOL')).toEqual(['HOL']);
+    });
+
+    test('fail on unknown single day', () => {
+        const converter = new AirspaceConverter();
+
+        expect(() => converter.createDays('MONN')).toThrow(ConversionError);
+        expect(() => converter.createDays('MONN')).toThrow("Invalid timesheet day 'MONN'");
+        expect(converter.createDays('BUSY_FRI')).toEqual(['BUSY_FRI']);
+    });
+});
+
+describe('test deriving activation by NOTAM and activity', () => {
+    const note = (text) => ({
+        'aixm:Note': { 'aixm:translatedNote': { 'aixm:LinguisticNote': { 'aixm:note': { _text: text } } } },
+    });
+
+    test('derive activation by NOTAM from activation status', () => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.isActivatedByNotam([{ 'aixm:status': { _text: 'INTERMITTENT' } }])).toEqual(true);
+        expect(converter.isActivatedByNotam([{ 'aixm:status': { _text: 'ACTIVE' } }])).toEqual(false);
+        expect(converter.isActivatedByNotam([])).toEqual(false);
+    });
+
+    test('derive activation by NOTAM from activation annotation', () => {
+        const converter = new AirspaceConverter();
+        const activation = { 'aixm:status': { _text: 'ACTIVE' }, 'aixm:annotation': note('Activated by NOTAM.') };
+
+        expect(converter.isActivatedByNotam([activation], converter.getNotes(activation))).toEqual(true);
+    });
+
+    test('derive activation by NOTAM from airspace annotation', () => {
+        const converter = new AirspaceConverter();
+        const activation = { 'aixm:status': { _text: 'ACTIVE' } };
+        const timeSlice = { 'aixm:annotation': [note('Active on weekends.'), note('Activation by NOTAM only.')] };
+
+        expect(converter.isActivatedByNotam([activation], converter.getNotes(timeSlice))).toEqual(true);
+        expect(converter.isActivatedByNotam([activation], converter.getNotes({}))).toEqual(false);
+    });
+
+    test.each([
+        ['PARACHUTE', 'PARACHUTING'],
+        ['AEROBATICS', 'AEROBATICS'],
+        ['GLIDING', 'NONE'],
+        ['HANG_GLIDING', 'HANG_GLIDING'],
+        ['ULM', 'ULM'],
+        ['MILOPS', 'NONE'],
+    ])('map activity %s to %s', (activity, expected) => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.createActivity([{ 'aixm:activity': { _text: activity } }])).toEqual(expected);
+    });
+
+    test('default to activity NONE', () => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.createActivity([])).toEqual('NONE');
+    });
+});
+
+describe('test creating activation periods', () => {
+    const featureLifetime = (begin, end) => ({
+        'gml:TimePeriod': {
+            'gml:beginPosition': { _text: begin },
+            'gml:endPosition': end == null ? { _attributes: { indeterminatePosition: 'unknown' } } : { _text: end },
+        },
+    });
+
+    test('create activation period without end for unknown end position', () => {
+        const converter = new AirspaceConverter();
+
+        expect(converter.createActivationPeriod(featureLifetime('2023-01-26T00:00:00Z'))).toEqual({
+            start: '2023-01-26T00:00:00.000Z',
+            end: null,
+        });
+    });
+
+    test('check if activation period overlaps validity window', () => {
+        const converter = new AirspaceConverter();
+        const window = { start: new Date('2023-03-23T00:00:00Z'), end: new Date('2023-04-20T00:00:00Z') };
+        const expired = converter.createActivationPeriod(
+            featureLifetime('2022-01-01T00:00:00Z', '2023-03-23T00:00:00Z')
+        );
+        const future = converter.createActivationPeriod(featureLifetime('2023-04-20T00:00:00Z'));
+        const current = converter.createActivationPeriod(featureLifetime('2023-01-26T00:00:00Z'));
+
+        expect(converter.isWithinWindow(expired, window)).toEqual(false);
+        expect(converter.isWithinWindow(future, window)).toEqual(false);
+        expect(converter.isWithinWindow(current, window)).toEqual(true);
+    });
+});
+
+describe('test reading ground services', () => {
+    test('read ground service from AIXM services and fall back to service file', async () => {
+        const converter = new AirspaceConverter({ strictSchemaValidation: true });
+        const serviceFileBuffer = Buffer.from(
+            'services:\n  - designator: LSZB CTR\n    callsign: BERN TOWER\n    frequency: 121.025\n'
+        );
+
+        const geojson = await converter.convert(fs.readFileSync('./tests/fixtures/airspace-services.xml'), {
+            serviceFileBuffer,
+        });
+        const [zurich, bern] = geojson.features;
+
+        // English callsigns are preferred
+        expect(zurich.properties.groundService).toEqual({ callsign: 'ZURICH TOWER', frequency: '118.100' });
+        expect(bern.properties.groundService).toEqual({ callsign: 'BERN TOWER', frequency: '121.025' });
+    });
+
+    test('fail on invalid service file', async () => {
+        const converter = new AirspaceConverter();
+        const serviceFileBuffer = Buffer.from('services:\n  - designator: LSZB CTR\n');
+
+        await expect(
+            converter.convert(fs.readFileSync('./tests/fixtures/airspace-services.xml'), { serviceFileBuffer })
+        ).rejects.toThrow("Invalid service file: missing 'callsign' or 'frequency' of service at index 0");
+    });
 });
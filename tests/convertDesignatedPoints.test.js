@@ -0,0 +1,26 @@
+const { AixmConverter } = require('../src/aixm-converter');
+
+describe('test converting designated points to GeoJSON', () => {
+    test('convert fixes, reporting points and coordinate points', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/designated-points.xml', { type: 'designated-point' });
+        const [fix, reportingPoint, coordinatePoint] = converter.toGeojson().features;
+
+        expect(fix).toEqual({
+            type: 'Feature',
+            properties: {
+                identifier: '4e5f6a7b-8c9d-4e0f-9a1b-3c4d5e6f7a01',
+                gmlId: 'GIPOL',
+                designator: 'GIPOL',
+                name: 'GIPOL',
+                type: 'ICAO',
+            },
+            geometry: { type: 'Point', coordinates: [8.2306, 47.4597] },
+        });
+        expect(reportingPoint.properties.type).toEqual('OTHER:VFR_RP');
+        expect(reportingPoint.properties.name).toEqual('ZURICH ECHO');
+        expect(coordinatePoint.properties.name).toBeUndefined();
+        expect(coordinatePoint.geometry.coordinates).toEqual([8.5, 47.5]);
+    });
+});
@@ -0,0 +1,48 @@
+const fs = require('node:fs');
+const { AixmConverter } = require('../src/aixm-converter');
+const { NavaidConverter } = require('../src/navaid-converter');
+
+describe('test converting navaids to GeoJSON', () => {
+    test('convert navaids with referenced equipment', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/navaids.xml', { type: 'navaid' });
+        const [vorDme, ndb] = converter.toGeojson().features;
+
+        expect(vorDme.geometry).toEqual({ type: 'Point', coordinates: [8.7559, 47.5922] });
+        expect(vorDme.properties).toEqual({
+            identifier: '6b3c1a2e-4d5f-4a6b-9c7d-8e9f0a1b2c3d',
+            designator: 'ZUE',
+            name: 'ZURICH EAST',
+            type: 'VOR_DME',
+            frequency: { value: 110.05, unit: 'MHZ' },
+            channel: '37Y',
+            magneticVariation: 2.5,
+            elevation: { value: 1730, unit: 'FT', referenceDatum: 'MSL' },
+            activationPeriod: { start: '2023-01-26T00:00:00.000Z' },
+            equipment: [
+                {
+                    identifier: '7c4d2b3f-5e6a-4b7c-8d9e-0f1a2b3c4d5e',
+                    type: 'VOR',
+                    designator: 'ZUE',
+                    frequency: { value: 110.05, unit: 'MHZ' },
+                },
+                { identifier: '8d5e3c4a-6f7b-4c8d-9e0f-1a2b3c4d5e6f', type: 'DME', designator: 'ZUE', channel: '37Y' },
+            ],
+        });
+        // location and elevation are read from the equipment if the navaid has no location
+        expect(ndb.geometry).toEqual({ type: 'Point', coordinates: [6.4586, 46.4711] });
+        expect(ndb.properties.frequency).toEqual({ value: 338, unit: 'KHZ' });
+        expect(ndb.properties.elevation).toEqual({ value: 1312, unit: 'FT', referenceDatum: 'MSL' });
+    });
+
+    test('fail on unresolved navaid equipment', async () => {
+        const converter = new NavaidConverter();
+        const buffer = fs.readFileSync('./tests/fixtures/navaids.xml');
+        const xml = buffer.toString().replace('xlink:href="#SPR_NDB"', 'xlink:href="#UNKNOWN"');
+
+        await expect(converter.convert(Buffer.from(xml), {})).rejects.toThrow(
+            "Failed to resolve navaid equipment '#UNKNOWN' for navaid 'SPR SAINT PREX (9e6f4d5b-7a8c-4d9e-8f0a-2b3c4d5e6f70)'"
+        );
+    });
+});
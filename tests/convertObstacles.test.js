@@ -0,0 +1,44 @@
+const { AixmConverter } = require('../src/aixm-converter');
+
+describe('test converting obstacles to GeoJSON', () => {
+    test('convert point, line and surface obstacles', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/obstacles.xml', { type: 'obstacle' });
+        const [antenna, powerLine, coolingTower, stack] = converter.toGeojson().features;
+
+        expect(antenna).toEqual({
+            type: 'Feature',
+            properties: {
+                identifier: '7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c01',
+                name: 'UETLIBERG',
+                designator: 'UET01',
+                type: 'TOWER',
+                elevation: { value: 3333, unit: 'FT', referenceDatum: 'MSL' },
+                height: { value: 614, unit: 'FT', referenceDatum: 'GND' },
+                lighted: true,
+                lighting: { icaoStandard: true, lights: [{ colour: 'RED', intensity: 'MIL', type: 'FLASHING' }] },
+                marking: { icaoStandard: true, pattern: 'HBANDS', firstColour: 'RED', secondColour: 'WHITE' },
+            },
+            geometry: { type: 'Point', coordinates: [8.4914, 47.3494] },
+        });
+        expect(powerLine.properties.type).toEqual('POWER_LINE');
+        expect(powerLine.properties.lighted).toEqual(false);
+        expect(powerLine.properties.elevation).toEqual({ value: 1804, unit: 'FT', referenceDatum: 'MSL' });
+        expect(powerLine.geometry).toEqual({
+            type: 'LineString',
+            coordinates: [
+                [8.2, 47.4],
+                [8.21, 47.41],
+                [8.22, 47.41],
+            ],
+        });
+        expect(coolingTower.geometry.type).toEqual('Polygon');
+        expect(coolingTower.properties.identifier).toEqual('7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c03_1');
+        expect(coolingTower.properties.parentIdentifier).toEqual('7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c03');
+        expect(coolingTower.properties.lighted).toEqual(false);
+        expect(stack.properties.identifier).toEqual('7a8b9c0d-1e2f-4a3b-8c4d-5e6f7a8b9c03_2');
+        expect(stack.properties.type).toEqual('STACK');
+        expect(stack.geometry.type).toEqual('Point');
+    });
+});
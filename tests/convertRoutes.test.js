@@ -0,0 +1,48 @@
+const { AixmConverter } = require('../src/aixm-converter');
+
+describe('test converting routes to GeoJSON', () => {
+    test('convert route segments between navaids and designated points', async () => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile('./tests/fixtures/routes.xml', { type: 'route' });
+        const [first, second] = converter.toGeojson().features;
+
+        expect(first).toEqual({
+            type: 'Feature',
+            properties: {
+                identifier: '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d11',
+                routeIdentifier: '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d10',
+                designator: 'UL613',
+                type: 'ATS',
+                flightRule: 'IFR',
+                level: 'UPPER',
+                start: { identifier: '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d01', designator: 'ZUE', type: 'NAVAID' },
+                end: {
+                    identifier: '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d02',
+                    designator: 'GIPOL',
+                    type: 'DESIGNATED_POINT',
+                },
+                upperCeiling: { value: 999, unit: 'FL', referenceDatum: 'STD' },
+                lowerCeiling: { value: 245, unit: 'FL', referenceDatum: 'STD' },
+                availability: [{ status: 'OPEN', direction: 'FORWARD', cardinalDirection: 'ODD' }],
+                width: { left: { value: 5, unit: 'NM' }, right: { value: 5, unit: 'NM' } },
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [8.7572, 47.5919],
+                    [8.2306, 47.4597],
+                ],
+            },
+        });
+        // segments with a curve extent follow the curve instead of a straight line
+        expect(second.geometry.coordinates).toEqual([
+            [8.2306, 47.4597],
+            [7.9, 47.4],
+            [7.6, 47.3],
+        ]);
+        expect(second.properties.end.designator).toEqual('ROLSA');
+        expect(second.properties.upperCeiling).toEqual({ value: 32808, unit: 'FT', referenceDatum: 'MSL' });
+        expect(second.properties.lowerCeiling).toBeUndefined();
+    });
+});
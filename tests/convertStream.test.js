@@ -0,0 +1,94 @@
+const fs = require('node:fs');
+const { Readable } = require('node:stream');
+const { AixmConverter } = require('../src/aixm-converter');
+const { readMembers } = require('../src/member-stream');
+const { parseXml, toArray } = require('../src/xml-utils');
+
+describe('test converting AIXM files as stream', () => {
+    test.each([
+        ['./tests/fixtures/aixm-airspace.xml', 'airspace'],
+        ['./tests/fixtures/airports.xml', 'airport'],
+        ['./tests/fixtures/navaids.xml', 'navaid'],
+        ['./tests/fixtures/obstacles.xml', 'obstacle'],
+        ['./tests/fixtures/routes.xml', 'route'],
+    ])('stream %s with same features as converting the whole file', async (inputFilepath, type) => {
+        const converter = new AixmConverter({ strictSchemaValidation: true });
+
+        await converter.convertFromFile(inputFilepath, { type });
+        const { features } = converter.toGeojson();
+        const streamedFeatures = [];
+        for await (const feature of converter.convertFromFileStream(inputFilepath, { type })) {
+            streamedFeatures.push(feature);
+        }
+
+        expect(streamedFeatures.length).toBeGreaterThan(0);
+        expect(streamedFeatures).toEqual(features);
+    });
+
+    test('write streamed features to the same GeoJSON file as converting the whole file', async () => {
+        const inputFilepath = './tests/fixtures/obstacles.xml';
+        const outputGeojsonFilepath = './var/obstacles.geojson';
+        const streamedGeojsonFilepath = './var/obstacles-streamed.geojson';
+        const converter = new AixmConverter();
+
+        await converter.convertFromFile(inputFilepath, { type: 'obstacle' });
+        await converter.toGeojsonFile(outputGeojsonFilepath);
+        await converter.streamToGeojsonFile(inputFilepath, streamedGeojsonFilepath, { type: 'obstacle' });
+
+        expect(fs.readFileSync(streamedGeojsonFilepath, 'utf-8')).toEqual(
+            fs.readFileSync(outputGeojsonFilepath, 'utf-8')
+        );
+    });
+
+    test('leave no GeoJSON file behind if the streamed conversion fails', async () => {
+        const inputFilepath = './tests/fixtures/aixm-airspace.xml';
+        const outputGeojsonFilepath = './var/airspace-streamed.geojson';
+        fs.rmSync(outputGeojsonFilepath, { force: true });
+        // the profile has no mapping for the type "TMA" of the second airspace
+        const converter = new AixmConverter({ mappingProfile: { types: { CTR: 'CTR' }, classes: { D: 'D' } } });
+
+        await expect(
+            converter.streamToGeojsonFile(inputFilepath, outputGeojsonFilepath, { type: 'airspace' })
+        ).rejects.toThrow("The 'type' value 'TMA' has no configured mapping.");
+        expect(fs.existsSync(outputGeojsonFilepath)).toBe(false);
+        expect(fs.existsSync(`${outputGeojsonFilepath}.tmp`)).toBe(false);
+    });
+
+    test('fail on unwritable GeoJSON file', async () => {
+        const outputGeojsonFilepath = './var/missing-directory/obstacles.geojson';
+        const converter = new AixmConverter();
+
+        await expect(
+            converter.streamToGeojsonFile('./tests/fixtures/obstacles.xml', outputGeojsonFilepath, { type: 'obstacle' })
+        ).rejects.toThrow('ENOENT');
+        expect(fs.existsSync(`${outputGeojsonFilepath}.tmp`)).toBe(false);
+    });
+
+    test('discard GeoJSON of a previous conversion', async () => {
+        const inputFilepath = './tests/fixtures/obstacles.xml';
+        const converter = new AixmConverter();
+
+        await converter.convertFromFile(inputFilepath, { type: 'obstacle' });
+        for await (const feature of converter.convertFromFileStream(inputFilepath, { type: 'obstacle' })) {
+            expect(feature).toBeDefined();
+        }
+
+        expect(converter.toGeojson()).toBeNull();
+    });
+
+    test('read members from small chunks', async () => {
+        const buffer = fs.readFileSync('./tests/fixtures/routes.xml');
+        // small chunks split tags, attributes and multibyte characters
+        const chunks = [];
+        for (let start = 0; start < buffer.length; start += 7) {
+            chunks.push(buffer.subarray(start, start + 7));
+        }
+
+        const members = [];
+        for await (const { member } of readMembers(Readable.from(chunks, { objectMode: false }))) {
+            members.push(member);
+        }
+
+        expect(members).toEqual(toArray(parseXml(buffer)['message:AIXMBasicMessage']['message:hasMember']));
+    });
+});
@@ -0,0 +1,42 @@
+const fs = require('node:fs');
+const { getEffectiveTimeSlice } = require('../src/temporality');
+const { parseXml } = require('../src/xml-utils');
+
+describe('test evaluating time slices at an effective date', () => {
+    const airspace = parseXml(fs.readFileSync('./tests/fixtures/airspace-time-slices.xml'))['aixm:Airspace'];
+
+    test('use corrected baseline before any delta is effective', () => {
+        const timeSlice = getEffectiveTimeSlice(airspace, new Date('2023-02-01T00:00:00Z'));
+
+        expect(timeSlice['aixm:name']._text).toEqual('DANGER AREA');
+        expect(timeSlice['aixm:designator']._text).toEqual('ED-D1');
+        expect(timeSlice['aixm:localType']._text).toEqual('ORIGINAL');
+    });
+
+    test('overlay baseline with effective permanent delta', () => {
+        const timeSlice = getEffectiveTimeSlice(airspace, new Date('2023-03-23T00:00:00Z'));
+
+        expect(timeSlice['aixm:name']._text).toEqual('DANGER AREA RENAMED');
+        expect(timeSlice['aixm:designator']._text).toEqual('ED-D1');
+        // properties set to nil by a delta are removed
+        expect(timeSlice['aixm:localType']).toBeUndefined();
+    });
+
+    test('overlay baseline with active temporary delta', () => {
+        const timeSlice = getEffectiveTimeSlice(airspace, new Date('2023-04-01T12:00:00Z'));
+
+        expect(timeSlice['aixm:name']._text).toEqual('DANGER AREA RENAMED');
+        expect(timeSlice['aixm:designator']._text).toEqual('ED-D1 TEMP');
+    });
+
+    test('return no time slice before the feature is effective', () => {
+        expect(getEffectiveTimeSlice(airspace, new Date('2023-01-01T00:00:00Z'))).toBeNull();
+    });
+
+    test('use latest permanent state without effective date', () => {
+        const timeSlice = getEffectiveTimeSlice(airspace);
+
+        expect(timeSlice['aixm:name']._text).toEqual('DANGER AREA RENAMED');
+        expect(timeSlice['aixm:designator']._text).toEqual('ED-D1');
+    });
+});